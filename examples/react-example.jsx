@@ -89,7 +89,10 @@ function TankRTCComponent() {
       tankRTC.bindAudioElement(audioRef.current);
     }
 
-    tankRTC.connect();
+    tankRTC.connect().catch((error) => {
+      setStatus('Disconnected');
+      setError(`Connection failed: ${error.message}`);
+    });
 
     // Cleanup on unmount
     return () => {
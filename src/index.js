@@ -3,18 +3,241 @@
  * @version 1.0.0
  */
 
+// Reported to the server in the connect() hello
+const SDK_VERSION = '1.0.0';
+const SDK_CAPABILITIES = [
+  'spatial-audio',
+  'video',
+  'video-tiers',
+  'position-datachannel',
+  'zones',
+  'channels',
+  'emitters',
+  'spectator',
+  'unified-signaling'
+];
+
+// WebSocket close codes the server uses to reject a socket's credentials,
+// mapped to the matching HTTP status
+const AUTH_CLOSE_CODES = { 4001: 401, 4003: 403 };
+
+// Events that can be listened to with on()/once()/off()
+const EVENTS = [
+  'onConnect',
+  'onDisconnect',
+  'onVideoSourceAdd',
+  'onVideoSourceRemove',
+  'onVideoFrameUpdate',
+  'onAudioStateChange',
+  'onVideoStateChange',
+  'onPositionAck',
+  'onPeerEnterRange',
+  'onPeerLeaveRange',
+  'onZoneJoin',
+  'onZoneLeave',
+  'onChannelTransmitChange',
+  'onReconnecting',
+  'onReconnected',
+  'onConnectionStateChange',
+  'onNetworkQuality',
+  'onLatency',
+  'onError'
+];
+
+// Media legs tracked by the connection state machine, and the flag that says whether each is active
+const MEDIA_LEG_FLAGS = {
+  'audio-send': 'isSendingAudio',
+  'audio-receive': 'isListeningAudio',
+  'video-send': 'isSendingVideo',
+  'video-receive': 'isViewingVideo'
+};
+
+// Allowed connection state transitions per media leg
+const CONNECTION_STATE_TRANSITIONS = {
+  idle: ['connecting', 'closed'],
+  connecting: ['connected', 'degraded', 'reconnecting', 'idle', 'closed'],
+  connected: ['degraded', 'reconnecting', 'idle', 'closed'],
+  degraded: ['connecting', 'connected', 'reconnecting', 'idle', 'closed'],
+  reconnecting: ['connecting', 'connected', 'degraded', 'idle', 'closed'],
+  closed: ['connecting', 'idle']
+};
+
+// Bounds on the delay before refreshing ICE servers, so short-lived or stale
+// credentials can't make us call iceServersProvider in a tight loop
+const ICE_SERVERS_MIN_REFRESH_DELAY = 5000;
+const ICE_SERVERS_MAX_REFRESH_DELAY = 300000;
+
+// Leading u32 that marks a binary position packet. Video frames share the data
+// channel and start with their clientId length, which is never above 1000.
+const POSITION_PACKET_TYPE = 0xFFFF0001;
+
+// A position packet with an old sequence number but a timestamp this much (ms)
+// newer than the last one applied comes from a peer that restarted its counter
+const POSITION_SEQUENCE_RESET_MS = 1000;
+
+// Supported distance attenuation curves
+const ATTENUATION_MODELS = ['linear', 'inverse', 'exponential'];
+
+// Remote streams whose ID starts with this carry radio channel audio rather than the spatial mix
+const CHANNEL_STREAM_PREFIX = 'channel-';
+
+// Message types on a unified signaling socket that belong to the video leg;
+// errors aren't tied to a leg and everything else goes to the audio handler
+const VIDEO_SIGNALING_TYPES = ['video-tier-demand'];
+
+// Stable codes carried by TankRTCError.code
+const ERROR_CODES = {
+  PERMISSION_DENIED: 'PERMISSION_DENIED', // The user or browser refused camera/microphone access
+  DEVICE_NOT_FOUND: 'DEVICE_NOT_FOUND', // No camera/microphone matches the request
+  DEVICE_UNAVAILABLE: 'DEVICE_UNAVAILABLE', // The device exists but can't be opened (e.g. in use)
+  MEDIA_FAILED: 'MEDIA_FAILED', // Capturing, decoding or playing media failed
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT', // An API was called with bad arguments
+  INVALID_STATE: 'INVALID_STATE', // An API was called when the SDK can't honour it
+  SIGNALING_FAILED: 'SIGNALING_FAILED', // A signaling socket or offer/answer exchange failed
+  SERVER_ERROR: 'SERVER_ERROR', // The server reported an error
+  TIMEOUT: 'TIMEOUT', // Waited too long for the server or an event
+  ICE_FAILED: 'ICE_FAILED', // A peer connection's ICE transport failed
+  CONNECTION_FAILED: 'CONNECTION_FAILED', // A peer connection failed (e.g. DTLS) or couldn't be restored
+  ICE_SERVERS_UNAVAILABLE: 'ICE_SERVERS_UNAVAILABLE', // config.iceServersProvider failed
+  DATACHANNEL_TIMEOUT: 'DATACHANNEL_TIMEOUT', // A data channel didn't open in time
+  DATACHANNEL_FAILED: 'DATACHANNEL_FAILED', // A data channel errored after opening
+  RECONNECT_FAILED: 'RECONNECT_FAILED', // Gave up after reconnectMaxAttempts
+  POSITION_UPDATE_FAILED: 'POSITION_UPDATE_FAILED', // A position update couldn't be delivered
+  AUTH_UNAUTHORIZED: 'AUTH_UNAUTHORIZED', // The server rejected our token (HTTP 401)
+  AUTH_FORBIDDEN: 'AUTH_FORBIDDEN', // The server refused us access (HTTP 403)
+  AUTH_TOKEN_UNAVAILABLE: 'AUTH_TOKEN_UNAVAILABLE', // config.getAuthToken failed
+  UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Base class of every error the SDK throws or passes to onError.
+ * recoverable is true when retrying, or letting the SDK reconnect, may succeed;
+ * cause is the underlying error, if any.
+ */
+class TankRTCError extends Error {
+  constructor(code, message, { recoverable = false, cause } = {}) {
+    super(message);
+    this.name = 'TankRTCError';
+    this.code = code;
+    this.recoverable = recoverable;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Invalid arguments passed to an SDK method
+ */
+class ValidationError extends TankRTCError {
+  constructor(message, options) {
+    super(ERROR_CODES.INVALID_ARGUMENT, message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Camera, microphone and media pipeline failures
+ */
+class DeviceError extends TankRTCError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'DeviceError';
+  }
+}
+
+/**
+ * Signaling socket and offer/answer failures
+ */
+class SignalingError extends TankRTCError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'SignalingError';
+  }
+}
+
+/**
+ * ICE, data channel and reconnect failures
+ */
+class ConnectionError extends TankRTCError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'ConnectionError';
+  }
+}
+
+/**
+ * Token and access failures; status is the matching HTTP status, if any
+ */
+class AuthError extends TankRTCError {
+  constructor(code, message, { status = null, ...options } = {}) {
+    super(code, message, options);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+/**
+ * Errors reported by the server; serverCode is the code the server sent, if any
+ */
+class ServerError extends TankRTCError {
+  constructor(message, { serverCode = null, ...options } = {}) {
+    super(ERROR_CODES.SERVER_ERROR, message, options);
+    this.name = 'ServerError';
+    this.serverCode = serverCode;
+  }
+}
+
 // Default configuration
 const DEFAULT_CONFIG = {
   serverUrl: 'ws://localhost:9090',
+  connectTimeout: 10000, // Reject connect() if the server hasn't answered the hello by then
+  getAuthToken: null, // async ({ clientId }) => token string or { token, expiresAt } (ms since epoch)
+  authTokenTransport: 'query', // How sockets carry the token: 'query' (?token=) | 'subprotocol'
+  authTokenRefreshMargin: 30000, // Fetch a new token this many ms before expiresAt
+  signalingMode: 'separate', // 'separate' (audio and video sockets) | 'unified' (one socket and peer connection)
   videoFrameRate: 30,
   videoWidth: 64,
   videoHeight: 64,
   videoQuality: 0.8,
+  videoTiers: null, // Resolution tiers to publish, e.g. [{ width: 256, height: 256 }, { width: 64, height: 64 }, { width: 32, height: 32 }]; defaults to videoWidth x videoHeight
+  videoLodDistances: [10, 30], // Distance boundaries between requested tiers, nearest (largest) tier first
   audioVolume: 1.0,
+  channelAudioVolume: 1.0, // Volume (0.0-1.0) of radio channel audio, independent of distance
+  pushToTalk: false, // Only transmit on the radio channel while push-to-talk is held
+  spectator: false, // Listen and view only; keeps us out of other clients' audio mixes and video
   maxHearingRange: 50.0,
+  positionUpdateInterval: 100, // Minimum ms between position updates sent to the server
+  positionRetryAttempts: 3, // Attempts per position update before reporting an error
+  positionRetryDelay: 250, // Base delay in ms between position update retries
+  positionTransport: 'auto', // 'auto' | 'datachannel' | 'websocket' | 'http'
+  rangeHysteresis: 5.0, // Extra distance past maxHearingRange before a peer counts as out of range
+  spatialAudio: {
+    model: 'linear', // Distance attenuation curve: 'linear' | 'inverse' | 'exponential'
+    refDistance: 1.0, // Distance at which volume starts to fall off
+    rolloffFactor: 1.0, // How quickly volume falls off past refDistance
+    maxHearingRange: null // Silence beyond this distance (defaults to maxHearingRange)
+  },
+  zoneVideoFiltering: true, // Only surface video from sources that share a zone with us
+  audioCone: {
+    innerAngle: 360, // Degrees around our heading heard at full volume
+    outerAngle: 360, // Degrees around our heading outside which outerGain applies
+    outerGain: 0 // Gain (0-1) heard from behind the outer cone
+  },
   iceServers: [
     { urls: 'stun:stun.l.google.com:19302' }
   ],
+  iceServersProvider: null, // async ({ clientId }) => iceServers array or { iceServers, expiresAt } (ms since epoch), e.g. short-lived TURN credentials
+  iceServersRefreshMargin: 60000, // Fetch new ICE servers this many ms before expiresAt
+  iceTransportPolicy: 'all', // 'all' | 'relay' (only use TURN relays)
+  clockSyncInterval: 30000, // ms between clock sync rounds against the server; 0 disables clock sync
+  clockSyncSamples: 5, // time-sync probes per round
+  heartbeatInterval: 5000, // ms between pings on each signaling socket; 0 disables heartbeats
+  heartbeatMissedLimit: 3, // Unanswered pings before a socket is treated as dead and reconnected (once the server has answered one)
+  networkQualityInterval: 2000, // ms between network quality samples; 0 disables onNetworkQuality
+  reconnect: true, // Automatically reconnect and restore media after a dropped connection
+  reconnectBaseDelay: 1000, // First reconnect delay in ms, doubled on each attempt
+  reconnectMaxDelay: 30000, // Upper bound for the reconnect delay in ms
+  reconnectMaxAttempts: 10, // Give up after this many failed attempts
+  iceRestartTimeout: 10000, // Fall back to a full reconnect if an ICE restart hasn't recovered by then
   debug: true // Enable debug logging
 };
 
@@ -24,6 +247,8 @@ const DEFAULT_CONFIG = {
 class TankRTC {
   constructor(clientId, config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.config.spatialAudio = { ...DEFAULT_CONFIG.spatialAudio, ...config.spatialAudio };
+    this.config.audioCone = { ...DEFAULT_CONFIG.audioCone, ...config.audioCone };
     this.clientId = clientId;
 
     // Connection state
@@ -32,9 +257,44 @@ class TankRTC {
     this.isListeningAudio = false;
     this.isSendingVideo = false;
     this.isViewingVideo = false;
+    this.legStates = Object.fromEntries(Object.keys(MEDIA_LEG_FLAGS).map(leg => [leg, 'idle']));
+
+    // Control channel and the session the server assigned in its welcome
+    this.controlWsConnection = null;
+    this.sessionInfo = null;
+    this.connectPromise = null;
+
+    // Cached token from config.getAuthToken
+    this.authToken = null;
+    this.authTokenExpiresAt = null;
+    this.authTokenPromise = null;
+
+    // ICE servers from config.iceServersProvider
+    this.providedIceServers = null;
+    this.iceServersPromise = null;
+    this.iceServersRefreshTimer = null;
+    this.iceServersExpiresAt = null;
+    this.iceServersRetryDelay = ICE_SERVERS_MIN_REFRESH_DELAY;
 
     // WebRTC connections
+    this.negotiations = new Map();
+
+    // Estimated server clock offset (server time - local time), see syncClock()
+    this.clockOffset = 0;
+    this.clockSyncHistory = [];
+    this.clockSyncTimer = null;
+    this.lastClockSyncAt = null;
+
+    // Signaling heartbeats and their last measured RTT per socket ('control' | 'audio' | 'video')
+    this.heartbeats = {};
+    this.latency = {};
+
+    // Network quality samples per leg ('audio' | 'video')
+    this.networkQualityTimer = null;
+    this.networkQuality = {};
+    this.networkStatsTotals = {};
     this.audioPeerConnection = null;
+    this.audioTransceiver = null;
     this.videoPeerConnection = null;
     this.audioWsConnection = null;
     this.videoWsConnection = null;
@@ -48,12 +308,53 @@ class TankRTC {
 
     // Video elements and data
     this.videoDataChannel = null;
-    this.videoCanvas = null;
-    this.videoContext = null;
+    this.videoDataChannelPending = false;
+    this.videoTierCanvases = [];
     this.videoElement = null;
     this.receivedVideos = new Map();
+    this.videoSourceTiers = new Map(); // Tiers advertised by each remote source
+    this.requestedVideoTiers = new Map(); // Tier we last requested for each remote source
+    this.demandedVideoTiers = null; // Tiers the server wants from us, null for all
     this.videoFrameNumber = 0;
     this.videoInterval = null;
+    this.videoReceiveStats = new Map(); // Per remote clientId, see recordVideoFrame()
+    this.malformedVideoFrames = 0; // Frames dropped before their sender could be read
+    this.videoSendStats = this.createVideoSendStats();
+
+    // Position state
+    this.position = { x: 0, y: 0, z: 0 };
+    this.orientation = { yaw: 0, pitch: 0 }; // Degrees
+    this.listenerPose = null; // Where we hear from, when decoupled from our position
+    this.viewerPose = null; // Where we see from, when decoupled from our position
+    this.positionUpdates = new Map(); // Throttled updates per clientId: ours and each emitter's sub-clientId
+    this.positionSequence = 0;
+
+    // Reconnection state
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.reconnectLegs = new Set();
+    this.reconnectState = null;
+    this.isRestoring = false;
+    this.iceRestartTimers = {};
+
+    // Known peers and their proximity to us
+    this.peers = new Map();
+
+    // Zones we belong to and known zone membership of other clients
+    this.zones = new Set();
+    this.peerZones = new Map();
+
+    // Radio channels that bypass distance attenuation
+    this.channels = new Set();
+    this.transmitChannel = null;
+    this.isPushToTalkActive = false;
+    this.channelAudioElements = new Map();
+    this.spatialGain = this.config.audioVolume;
+    this.channelGain = this.config.channelAudioVolume;
+
+    // Virtual audio emitters hosted by this client
+    this.emitters = new Map();
+    this.emitterAudioContext = null;
 
     // Safari-specific audio handling
     this.isSafari = navigator.userAgent.includes('Safari') && !navigator.userAgent.includes('Chrome');
@@ -64,17 +365,8 @@ class TankRTC {
     this.safariRemoteSource = null;
     this.safariRemoteGain = null;
 
-    // Callbacks
-    this.callbacks = {
-      onConnect: null,
-      onDisconnect: null,
-      onVideoSourceAdd: null,
-      onVideoSourceRemove: null,
-      onVideoFrameUpdate: null,
-      onAudioStateChange: null,
-      onVideoStateChange: null,
-      onError: null
-    };
+    // Event listeners, plus '*' for listeners to every event
+    this.listeners = Object.fromEntries([...EVENTS, '*'].map(event => [event, new Set()]));
 
     this.log('TankRTC SDK initialized', {
       clientId: this.clientId,
@@ -111,1402 +403,4669 @@ class TankRTC {
   }
 
   /**
-   * Set callback handlers
+   * Add an event listener. '*' listens to every event and is called with the
+   * event name first. Passing null removes all listeners for the event.
    */
   on(event, callback) {
-    if (this.callbacks.hasOwnProperty(event)) {
-      this.callbacks[event] = callback;
-      this.log('Callback registered', { event, callback: callback ? 'function' : 'null' });
-    } else {
-      this.logError('Unknown callback event', { event });
+    if (!this.isKnownEvent(event)) {
+      return this;
+    }
+    if (callback === null) {
+      return this.off(event);
+    }
+    if (typeof callback !== 'function') {
+      throw new ValidationError(`Listener for ${event} must be a function`);
     }
+
+    this.listeners[event].add(callback);
+    this.log('Listener added', { event, listeners: this.listeners[event].size });
     return this;
   }
 
   /**
-   * Connect to the Tank RTC server
+   * Add an event listener that is removed after its first call
    */
-  async connect() {
-    this.log('Starting connection to server');
-    try {
-      // Don't establish WebSocket connections initially (following index.html pattern)
-      // Connections will be established when needed for audio/video operations
-
-      this.isConnected = true;
-      this.log('Successfully connected to server');
-      this.callbacks.onConnect?.();
-      return true;
-    } catch (error) {
-      this.handleError('Connection failed', error);
-      return false;
+  once(event, callback) {
+    if (typeof callback !== 'function') {
+      throw new ValidationError(`Listener for ${event} must be a function`);
     }
+
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      callback(...args);
+    };
+    wrapper.listener = callback; // Lets off() remove it by the original callback
+    return this.on(event, wrapper);
   }
 
   /**
-   * Create and send audio offer with correct intent
+   * Remove an event listener, or every listener for the event without one
    */
-  async createAudioOffer() {
-    if (!this.audioPeerConnection || !this.audioWsConnection || this.audioWsConnection.readyState !== WebSocket.OPEN) {
-      return;
+  off(event, callback) {
+    if (!this.isKnownEvent(event)) {
+      return this;
     }
 
-    try {
-      const offer = await this.audioPeerConnection.createOffer({
-        offerToReceiveAudio: this.isListeningAudio,
-        offerToReceiveVideo: false
+    const listeners = this.listeners[event];
+    if (!callback) {
+      listeners.clear();
+    } else {
+      listeners.forEach(listener => {
+        if (listener === callback || listener.listener === callback) {
+          listeners.delete(listener);
+        }
       });
-      await this.audioPeerConnection.setLocalDescription(offer);
-
-      this.audioWsConnection.send(JSON.stringify({
-        type: 'offer',
-        clientId: this.clientId,
-        sdp: offer.sdp
-      }));
-    } catch (error) {
-      console.error('Error sending offer:', error);
     }
+    return this;
   }
 
   /**
-   * Check if video connection is ready
+   * Call every listener for an event, then the '*' listeners. A throwing
+   * listener is logged and doesn't stop the others.
    */
-  isVideoConnectionReady() {
-    return this.videoWsConnection && this.videoWsConnection.readyState === WebSocket.OPEN &&
-           this.videoPeerConnection && this.videoDataChannel && this.videoDataChannel.readyState === 'open';
+  emit(event, ...args) {
+    const call = (listener, listenerArgs) => {
+      try {
+        listener(...listenerArgs);
+      } catch (error) {
+        this.logError(`Error in ${event} listener`, error);
+      }
+    };
+
+    [...this.listeners[event]].forEach(listener => call(listener, args));
+    [...this.listeners['*']].forEach(listener => call(listener, [event, ...args]));
   }
 
   /**
-   * Send video offer
+   * Check an event name, throwing in debug mode and logging otherwise when it is unknown
    */
-  async sendVideoOffer() {
-    if (!this.videoPeerConnection || !this.videoWsConnection || this.videoWsConnection.readyState !== WebSocket.OPEN) {
-      console.error('Video connection not ready:', {
-        hasPeerConnection: !!this.videoPeerConnection,
-        hasWsConnection: !!this.videoWsConnection,
-        wsState: this.videoWsConnection?.readyState
-      });
-      return;
+  isKnownEvent(event) {
+    if (this.listeners.hasOwnProperty(event)) {
+      return true;
     }
+    if (this.config.debug) {
+      throw new ValidationError(`Unknown event: ${event}. Known events: ${EVENTS.join(', ')}`);
+    }
+    this.logError('Unknown event', { event });
+    return false;
+  }
 
-    try {
-      console.log('Creating video data channel with clientId:', this.clientId);
-
-      // Create data channel first to ensure it's included in the offer
-      const ordered = false;
-      const dataChannel = this.videoPeerConnection.createDataChannel('video', {
-        ordered: ordered,
-        maxRetransmits: 0 // Prevent retransmissions for real-time video
-      });
-
-      console.log('Data channel created, label:', dataChannel.label, 'ready state:', dataChannel.readyState);
-
-      // Set up data channel event handlers
-      dataChannel.onopen = () => {
-        console.log('👉 Video data channel opened!');
-        this.videoDataChannel = dataChannel;
-      };
-
-      dataChannel.onclose = () => {
-        console.log('Video data channel closed');
-        this.videoDataChannel = null;
-      };
+  /**
+   * Resolve with the arguments of the next event that passes filter.
+   * Rejects after timeout ms (0 waits forever) or when signal aborts.
+   */
+  waitFor(event, { filter = null, timeout = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.isKnownEvent(event)) {
+        reject(new ValidationError(`Unknown event: ${event}`));
+        return;
+      }
+      if (signal?.aborted) {
+        reject(this.getAbortReason(signal));
+        return;
+      }
 
-      dataChannel.onerror = (error) => {
-        console.error('Video data channel error:', error);
+      let timer = null;
+      const cleanup = () => {
+        this.off(event, listener);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
       };
-
-      dataChannel.onmessage = (event) => {
-        if (event.data instanceof ArrayBuffer) {
-          this.handleIncomingVideoMessage(event.data);
-        } else if (event.data instanceof Blob) {
-          // Firefox sends Blob, convert to ArrayBuffer
-          const reader = new FileReader();
-          reader.onload = () => {
-            this.handleIncomingVideoMessage(reader.result);
-          };
-          reader.onerror = (error) => {
-            this.logError('Error converting Blob to ArrayBuffer', error);
-          };
-          reader.readAsArrayBuffer(event.data);
-        } else if (typeof event.data === 'string') {
-          // Handle text messages (video-add, video-remove)
-          try {
-            const message = JSON.parse(event.data);
-            switch (message.type) {
-              case 'video-add':
-                this.log('😊 Video source entered range', { clientId: message.clientId });
-                // The video will appear in the next frame update
-                break;
-              case 'video-remove':
-                this.log('😩 Video source left range', { clientId: message.clientId });
-                // Remove the video from display immediately
-                const videoData = this.receivedVideos.get(message.clientId);
-                if (videoData) {
-                  URL.revokeObjectURL(videoData.url);
-                }
-                this.receivedVideos.delete(message.clientId);
-                this.callbacks.onVideoSourceRemove?.(message.clientId);
-                break;
-              default:
-                this.log('Unknown text message', { message });
-            }
-          } catch (error) {
-            this.logError('Error parsing text message', error);
+      const listener = (...args) => {
+        try {
+          if (filter && !filter(...args)) {
+            return;
           }
+        } catch (error) {
+          cleanup();
+          reject(error);
+          return;
         }
+        cleanup();
+        resolve(args);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(this.getAbortReason(signal));
       };
 
-      const offer = await this.videoPeerConnection.createOffer();
-      console.log('Created video offer, SDP length:', offer.sdp.length);
-      await this.videoPeerConnection.setLocalDescription(offer);
-
-      console.log('Sending video offer via WebSocket');
-      this.videoWsConnection.send(JSON.stringify({
-        type: 'offer',
-        clientId: this.clientId,
-         sdp: offer.sdp
-      }));
-    } catch (error) {
-      console.error('Error sending video offer:', error);
-    }
+      this.on(event, listener);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(new TankRTCError(ERROR_CODES.TIMEOUT, `Timed out after ${timeout}ms waiting for ${event}`, { recoverable: true }));
+        }, timeout);
+      }
+    });
   }
 
   /**
-   * Disconnect from the server
+   * Iterate over a remote source's video frames as { clientId, url, width, height, frameNumber },
+   * starting with the frame on display. A slow consumer gets the latest frame, not a backlog.
+   * Ends when the source leaves range or we disconnect; throws when signal aborts.
    */
-  disconnect() {
-    this.log('Disconnecting from server');
-    this.stopSendingAudio();
-    this.stopListeningAudio();
-    this.stopSendingVideo();
-    this.stopViewingVideo();
+  async *frames(clientId, { signal } = {}) {
+    let latest = null;
+    let ended = false;
+    let wake = null;
+    const notify = () => {
+      wake?.();
+      wake = null;
+    };
+    const toFrame = (id, url) => {
+      const videoData = this.receivedVideos.get(id);
+      return {
+        clientId: id,
+        url,
+        width: videoData?.width ?? null,
+        height: videoData?.height ?? null,
+        frameNumber: videoData?.frameNumber ?? null
+      };
+    };
 
-    // Safari-specific cleanup
-    this.cleanupSafariAudio(true);
+    const onFrame = (id, url) => {
+      if (id === clientId) {
+        latest = toFrame(id, url);
+        notify();
+      }
+    };
+    const onEnd = (id) => {
+      // onDisconnect has no clientId and ends every iterator
+      if (id === undefined || id === clientId) {
+        ended = true;
+        notify();
+      }
+    };
 
-    if (this.audioWsConnection) {
-      this.audioWsConnection.close();
-      this.audioWsConnection = null;
-      this.log('Audio WebSocket connection closed');
-    }
+    this.on('onVideoSourceAdd', onFrame)
+      .on('onVideoFrameUpdate', onFrame)
+      .on('onVideoSourceRemove', onEnd)
+      .on('onDisconnect', onEnd);
+    signal?.addEventListener('abort', notify);
 
-    if (this.videoWsConnection) {
-      this.videoWsConnection.close();
-      this.videoWsConnection = null;
-      this.log('Video WebSocket connection closed');
-    }
+    try {
+      const current = this.receivedVideos.get(clientId);
+      if (current) {
+        latest = toFrame(clientId, current.url);
+      }
 
-    if (this.audioPeerConnection) {
-      this.audioPeerConnection.close();
-      this.audioPeerConnection = null;
-      this.log('Audio peer connection closed');
+      while (true) {
+        if (signal?.aborted) {
+          throw this.getAbortReason(signal);
+        }
+        if (latest) {
+          const frame = latest;
+          latest = null;
+          yield frame;
+        } else if (ended) {
+          return;
+        } else {
+          await new Promise(resolve => {
+            wake = resolve;
+          });
+        }
+      }
+    } finally {
+      this.off('onVideoSourceAdd', onFrame)
+        .off('onVideoFrameUpdate', onFrame)
+        .off('onVideoSourceRemove', onEnd)
+        .off('onDisconnect', onEnd);
+      signal?.removeEventListener('abort', notify);
     }
+  }
 
-    if (this.videoPeerConnection) {
-      this.videoPeerConnection.close();
-      this.videoPeerConnection = null;
-      this.log('Video peer connection closed');
-    }
+  /**
+   * The error an aborted signal should reject with
+   */
+  getAbortReason(signal) {
+    return signal.reason ?? new DOMException('The operation was aborted', 'AbortError');
+  }
 
-    // Clear received videos
-    this.receivedVideos.forEach(videoData => {
-      URL.revokeObjectURL(videoData.url);
-    });
-    this.receivedVideos.clear();
-    this.log('Cleared all received videos');
+  /**
+   * Connect to the Tank RTC server. Opens the control channel and resolves
+   * with the session info from the server's welcome; media connections are
+   * still only established when audio/video is started. Calls made while a
+   * connect is in progress share its result.
+   */
+  async connect() {
+    this.log('Starting connection to server');
+    if (this.isConnected && this.controlWsConnection) {
+      this.log('Already connected');
+      return this.sessionInfo;
+    }
+    if (this.connectPromise) {
+      this.log('Connection already in progress');
+      return this.connectPromise;
+    }
 
-    this.isConnected = false;
-    this.log('Disconnected from server');
-    this.callbacks.onDisconnect?.();
+    this.connectPromise = (async () => {
+      try {
+        this.sessionInfo = await this.openControlChannel();
+        this.isConnected = true;
+        this.log('Successfully connected to server', this.sessionInfo);
+        this.emit('onConnect', this.sessionInfo);
+        return this.sessionInfo;
+      } catch (error) {
+        throw this.handleError('Connection failed', error, ERROR_CODES.SIGNALING_FAILED);
+      } finally {
+        this.connectPromise = null;
+      }
+    })();
+    return this.connectPromise;
   }
 
   /**
-   * Start sending audio
+   * Open the control WebSocket and exchange a hello for the server's welcome
    */
-  async startSendingAudio() {
-    this.log('Starting audio sending', {
-      isSendingAudio: this.isSendingAudio,
-      hasLocalStream: !!this.localStream
-    });
-
-    if (this.isSendingAudio) {
-      this.log('Already sending audio');
-      return;
+  async openControlChannel() {
+    this.log('Opening control channel');
+
+    // Replace any control socket left over from an earlier attempt; clearing
+    // controlWsConnection first stops its close handler from reconnecting
+    const previousWs = this.controlWsConnection;
+    if (previousWs) {
+      this.controlWsConnection = null;
+      this.stopHeartbeat('control', previousWs);
+      previousWs.close();
     }
 
-    try {
-      this.log('Requesting microphone access');
-      this.localStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true
+    // connectTimeout covers fetching the token too, so a hung getAuthToken can't stall connect()
+    const deadline = Date.now() + this.config.connectTimeout;
+    let tokenTimer;
+    const authFields = await Promise.race([
+      this.getAuthFields(),
+      new Promise((resolve, reject) => {
+        tokenTimer = setTimeout(() => {
+          reject(new AuthError(ERROR_CODES.AUTH_TOKEN_UNAVAILABLE, `getAuthToken did not resolve within ${this.config.connectTimeout}ms`, { recoverable: true }));
+        }, this.config.connectTimeout);
+      })
+    ]).finally(() => clearTimeout(tokenTimer));
+    const ws = await this.openSignalingSocket('/control');
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      this.controlWsConnection = ws;
+
+      const fail = (error) => {
+        if (settled) {
+          return;
         }
-      });
+        settled = true;
+        clearTimeout(timeout);
+        if (this.controlWsConnection === ws) {
+          this.controlWsConnection = null;
+        }
+        ws.close();
+        reject(error);
+      };
 
-      this.isSendingAudio = true;
+      const timeout = setTimeout(() => {
+        fail(new SignalingError(ERROR_CODES.TIMEOUT, `Server did not answer within ${this.config.connectTimeout}ms`, { recoverable: true }));
+      }, Math.max(0, deadline - Date.now()));
 
-      // Always create fresh connection when starting sending (like index.html)
-      if (this.audioWsConnection) {
-        this.log('Closing existing audio WebSocket connection');
-        this.audioWsConnection.close();
-        this.audioWsConnection = null;
-      }
+      ws.onopen = () => {
+        ws.send(JSON.stringify({
+          type: 'hello',
+          clientId: this.clientId,
+          sdkVersion: SDK_VERSION,
+          capabilities: SDK_CAPABILITIES,
+          ...authFields
+        }));
+      };
 
-      if (this.audioPeerConnection) {
-        this.log('Closing existing audio peer connection');
-        this.audioPeerConnection.close();
-        this.audioPeerConnection = null;
-      }
+      ws.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          this.handleError('Invalid control message', error, ERROR_CODES.SIGNALING_FAILED, { recoverable: true });
+          return;
+        }
 
-      // Re-establish audio connection only (independent of video)
-      await this.initializeAudioConnection();
-      await this.resetPeerConnection();
+        if (settled) {
+          this.handleControlMessage(message);
+        } else if (message.type === 'welcome') {
+          settled = true;
+          clearTimeout(timeout);
+          const { type, ...sessionInfo } = message;
+          this.startHeartbeat('control', ws);
+          this.startClockSync();
+          resolve(sessionInfo);
+        } else if (message.type === 'error') {
+          const text = message.message || 'Server rejected the connection';
+          fail(message.status === 401 || message.status === 403
+            ? this.createAuthError(message.status, text)
+            : new ServerError(text, { serverCode: message.code }));
+        }
+      };
 
-      // Add local audio track
-      this.localStream.getTracks().forEach(track => {
-        this.audioPeerConnection.addTrack(track, this.localStream);
-      });
+      ws.onerror = () => {
+        fail(new SignalingError(ERROR_CODES.SIGNALING_FAILED, 'Control WebSocket error', { recoverable: true }));
+      };
 
-      // Create and send offer with fresh connection
-      await this.createAudioOffer();
+      ws.onclose = (event) => {
+        this.stopHeartbeat('control', ws);
+        if (!settled) {
+          const status = AUTH_CLOSE_CODES[event.code];
+          fail(status
+            ? this.createAuthError(status, event.reason || `Server rejected the connection with HTTP ${status}`)
+            : new SignalingError(ERROR_CODES.SIGNALING_FAILED, `Control WebSocket closed before the server answered (code ${event.code})`, { recoverable: true }));
+          return;
+        }
 
-      this.log('Audio sending started successfully');
-      this.callbacks.onAudioStateChange?.('sending', true);
-    } catch (error) {
-      this.isSendingAudio = false;
-      this.handleError('Failed to start sending audio', error);
-      throw error;
+        // Sockets we replaced or closed on purpose are no longer current
+        if (this.controlWsConnection === ws) {
+          this.controlWsConnection = null;
+          this.log('🔴 Control channel closed', { code: event.code });
+          if (!this.handleAuthClose(event, 'Control channel')) {
+            this.scheduleReconnect('control', 'Control WebSocket closed');
+          }
+          // Giving up on reconnecting has already announced the disconnect
+          if (this.isConnected) {
+            this.isConnected = false;
+            if (!this.reconnectTimer) {
+              this.emit('onDisconnect');
+            }
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Handle control channel messages received after the welcome
+   */
+  handleControlMessage(message) {
+    switch (message.type) {
+      case 'pong':
+        this.handlePong('control', message);
+        break;
+      case 'time-sync':
+        this.handleTimeSync(message);
+        break;
+      case 'error':
+        this.handleError('Server error', new ServerError(message.message || 'Server error', { serverCode: message.code }));
+        break;
+      default:
+        this.log('Unhandled control message', message);
     }
   }
 
   /**
-   * Stop sending audio
+   * Get a token from config.getAuthToken, reusing the cached one until it is
+   * within authTokenRefreshMargin of expiring. Returns null without a hook.
    */
-  stopSendingAudio() {
-    // Notify server that we're stopping sending (primary cleanup)
-    if (this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN && this.clientId) {
-      this.audioWsConnection.send(JSON.stringify({
-        type: 'stop-sending',
-        clientId: this.clientId
-      }));
+  async resolveAuthToken({ forceRefresh = false } = {}) {
+    if (!this.config.getAuthToken) {
+      return null;
     }
 
-    if (this.localStream) {
-      this.localStream.getTracks().forEach(track => {
-        track.stop();
-        // Remove track from peer connection
-        if (this.audioPeerConnection) {
-          const sender = this.audioPeerConnection.getSenders().find(s => s.track === track);
-          if (sender) {
-            this.audioPeerConnection.removeTrack(sender);
+    const expiresSoon = this.authTokenExpiresAt !== null &&
+      Date.now() >= this.authTokenExpiresAt - this.config.authTokenRefreshMargin;
+    if (this.authToken && !forceRefresh && !expiresSoon) {
+      return this.authToken;
+    }
+
+    // Concurrent callers share one refresh
+    if (!this.authTokenPromise) {
+      this.authTokenPromise = (async () => {
+        try {
+          const result = await this.config.getAuthToken({ clientId: this.clientId });
+          const { token, expiresAt = null } = typeof result === 'string' ? { token: result } : (result || {});
+          if (!token) {
+            throw new AuthError(ERROR_CODES.AUTH_TOKEN_UNAVAILABLE, 'getAuthToken returned no token', { recoverable: true });
           }
+          this.authToken = token;
+          this.authTokenExpiresAt = expiresAt;
+          this.log('Auth token refreshed', { expiresAt });
+          return token;
+        } catch (error) {
+          if (error instanceof AuthError) {
+            throw error;
+          }
+          throw new AuthError(ERROR_CODES.AUTH_TOKEN_UNAVAILABLE, `Failed to get auth token: ${error.message}`, {
+            recoverable: true,
+            cause: error
+          });
+        } finally {
+          this.authTokenPromise = null;
         }
-      });
-      this.localStream = null;
+      })();
     }
+    return this.authTokenPromise;
+  }
 
-    this.isSendingAudio = false;
-    this.cleanupSafariAudio();
+  /**
+   * Fields that authenticate a signaling message
+   */
+  async getAuthFields() {
+    const token = await this.resolveAuthToken();
+    return token ? { token } : {};
+  }
 
-    this.log('Audio sending stopped');
-    this.callbacks.onAudioStateChange?.('sending', false);
+  /**
+   * Open a signaling WebSocket on the given server path, carrying our auth token
+   * as a query parameter or subprotocol depending on config.authTokenTransport
+   */
+  async openSignalingSocket(path) {
+    const url = `${this.config.serverUrl}${path}`;
+    const token = await this.resolveAuthToken();
+    if (!token) {
+      return new WebSocket(url);
+    }
+
+    if (this.config.authTokenTransport === 'subprotocol') {
+      return new WebSocket(url, ['tank-rtc', `bearer.${this.encodeSubprotocolToken(token)}`]);
+    }
+    const separator = url.includes('?') ? '&' : '?';
+    return new WebSocket(`${url}${separator}token=${encodeURIComponent(token)}`);
   }
 
   /**
-   * Start listening to audio
+   * Encode a token as unpadded base64url. Subprotocols must be RFC 7230 tokens,
+   * which JWT/base64 characters such as '=', '/' and '+' are not.
    */
-  async startListeningAudio() {
-    if (this.isListeningAudio) {
-      this.log('Already listening to audio, skipping');
-      return;
+  encodeSubprotocolToken(token) {
+    const bytes = new TextEncoder().encode(token);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+   * Create an error for a 401/403-style server rejection
+   */
+  createAuthError(status, message) {
+    // An unauthorized token may just have expired, so a fresh one can fix it
+    return status === 403
+      ? new AuthError(ERROR_CODES.AUTH_FORBIDDEN, message, { status })
+      : new AuthError(ERROR_CODES.AUTH_UNAUTHORIZED, message, { status, recoverable: true });
+  }
+
+  /**
+   * Surface a server auth rejection carried in a WebSocket close code.
+   * Returns true when the rejection is final and we shouldn't reconnect.
+   */
+  handleAuthClose(event, label) {
+    const status = AUTH_CLOSE_CODES[event.code];
+    if (!status) {
+      return false;
     }
 
-    try {
-      if (this.isSafari) {
-        this.log('Initializing Safari audio context');
-        await this.initializeSafariAudioContext();
-      }
+    // An unauthorized token may just have expired; drop it so the reconnect fetches a new one
+    if (status === 401) {
+      this.authToken = null;
+    }
+    this.handleError(`${label} authentication failed`, this.createAuthError(status, event.reason || `Server rejected the token with HTTP ${status}`));
+    return status === 403;
+  }
 
-      this.isListeningAudio = true;
+  /**
+   * Get the HTTP base URL of the server, derived from config.serverUrl
+   */
+  getHttpServerUrl() {
+    return this.config.serverUrl
+      .replace(/^wss:/i, 'https:')
+      .replace(/^ws:/i, 'http:')
+      .replace(/\/+$/, '');
+  }
 
-      // Always create fresh connection when starting listening (like index.html)
-      if (this.audioWsConnection) {
-        this.log('Closing existing audio WebSocket connection');
-        this.audioWsConnection.close();
-        this.audioWsConnection = null;
-      }
+  /**
+   * Set our position in the world. Updates are throttled to
+   * config.positionUpdateInterval and coalesced, so only the latest
+   * position is sent when several calls land within one interval.
+   */
+  setPosition(position = {}) {
+    this.position = this.mergePosition(position);
+    this.queuePositionUpdate(this.getPose());
+    this.updatePeerProximity();
+    return this;
+  }
 
-      if (this.audioPeerConnection) {
-        this.log('Closing existing audio peer connection');
-        this.audioPeerConnection.close();
-        this.audioPeerConnection = null;
+  /**
+   * Our position with the given axes applied, throwing if any of them is not a finite number
+   */
+  mergePosition(position = {}) {
+    const next = { ...this.position };
+    for (const axis of ['x', 'y', 'z']) {
+      if (position[axis] === undefined) {
+        continue;
+      }
+      if (typeof position[axis] !== 'number' || !Number.isFinite(position[axis])) {
+        throw new ValidationError(`Position ${axis} must be a finite number`);
       }
+      next[axis] = position[axis];
+    }
+    return next;
+  }
 
-      // Re-establish audio connection only (independent of video)
-      await this.initializeAudioConnection();
-      await this.resetPeerConnection();
+  /**
+   * Get our last set position
+   */
+  getPosition() {
+    return { ...this.position };
+  }
 
-      // Re-add local audio track if we were sending
-      if (this.isSendingAudio && this.localStream) {
-        this.localStream.getTracks().forEach(track => {
-          this.audioPeerConnection.addTrack(track, this.localStream);
-        });
+  /**
+   * Set our position and heading together. yaw and pitch are in degrees;
+   * yaw 0 faces -z and increases clockwise seen from above, pitch is positive looking up.
+   * An optional cone updates our directional audio cone (see setAudioCone).
+   */
+  async setPose({ position, yaw, pitch, cone } = {}) {
+    const orientation = { ...this.orientation };
+    for (const [key, value] of [['yaw', yaw], ['pitch', pitch]]) {
+      if (value === undefined) {
+        continue;
       }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ValidationError(`Pose ${key} must be a finite number`);
+      }
+      orientation[key] = value;
+    }
+    orientation.yaw = ((orientation.yaw % 360) + 360) % 360;
+    orientation.pitch = Math.max(-90, Math.min(90, orientation.pitch));
 
-      // Create and send offer with fresh connection
-      await this.createAudioOffer();
-
-      this.log('Audio listening started successfully');
-      this.callbacks.onAudioStateChange?.('listening', true);
+    // Validate everything before applying anything, so a bad value can't leave a half-applied pose
+    const nextPosition = this.mergePosition(position);
+    const nextCone = cone ? this.mergeAudioCone(cone) : null;
 
-      // Note: setupRemoteAudio will be called automatically when audio tracks are received
-      this.log('Audio listening setup complete - waiting for audio tracks');
-    } catch (error) {
-      this.isListeningAudio = false;
-      this.handleError('🔴 Failed to start listening audio', error);
+    this.orientation = orientation;
+    this.setPosition(nextPosition);
+    if (nextCone) {
+      await this.setAudioCone(nextCone);
     }
+    return this.getPose();
   }
 
   /**
-   * Stop listening to audio
+   * Get our last set position and heading
    */
-  stopListeningAudio() {
-    this.isListeningAudio = false;
-    this.callbacks.onAudioStateChange?.('listening', false);
+  getPose() {
+    return { ...this.position, ...this.orientation };
+  }
 
-    if (this.remoteAudioElement) {
-      this.remoteAudioElement.pause();
-      this.remoteAudioElement.srcObject = null;
-      this.remoteAudioElement = null;
-    }
-    this.log('Audio listening stopped');
-    this.cleanupSafariAudio();
+  /**
+   * Get the effective directional audio cone
+   */
+  getAudioCone() {
+    return { ...this.config.audioCone };
   }
 
   /**
-   * Start sending video
+   * Change our directional audio cone. Listeners outside outerAngle around our
+   * heading hear us at outerGain. If audio is active the cone is sent to the
+   * server by renegotiating the audio connection.
    */
-  async startSendingVideo() {
-    this.log('🟡 Starting webcam...');
+  async setAudioCone(options = {}) {
+    const next = this.mergeAudioCone(options);
+    this.config.audioCone = next;
+    this.log('Audio cone updated', next);
 
-    if (this.isSendingVideo) {
-      this.log('Already sending video, skipping');
-      return;
+    if (this.isSendingAudio) {
+      await this.createAudioOffer();
     }
 
-    try {
-      this.log('Requesting camera access');
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: this.config.videoWidth },
-          height: { ideal: this.config.videoHeight },
-          frameRate: { ideal: this.config.videoFrameRate }
-        }
-      });
-      this.log('Camera access granted', {
-        tracks: stream.getTracks().length,
-        trackKinds: stream.getTracks().map(t => t.kind)
-      });
-
-      // Set up canvas for video processing
-      this.log('Creating video canvas');
-      this.videoCanvas = document.createElement('canvas');
-      this.videoCanvas.width = this.config.videoWidth;
-      this.videoCanvas.height = this.config.videoHeight;
-      this.videoContext = this.videoCanvas.getContext('2d');
-
-      // Create video element to draw from (like index.html)
-      this.log('Creating video element');
-      this.videoElement = document.createElement('video');
-      this.videoElement.srcObject = stream;
-      this.videoElement.autoplay = true;
-      this.videoElement.muted = true;
-      this.videoElement.playsInline = true; // Important for Chrome
+    return this.getAudioCone();
+  }
 
-      // Store reference for cleanup
-      window.videoElement = this.videoElement;
+  /**
+   * Our audio cone with the given options applied, throwing if the result is invalid
+   */
+  mergeAudioCone(options = {}) {
+    const next = { ...this.config.audioCone, ...options };
 
-      // Safari-specific fix: temporarily attach to DOM to ensure video works
-      if (this.isSafari) {
-        this.log('Adding video element to DOM for Safari');
-        this.videoElement.style.position = 'absolute';
-        this.videoElement.style.left = '-9999px';
-        this.videoElement.style.top = '-9999px';
-        this.videoElement.style.width = '1px';
-        this.videoElement.style.height = '1px';
-        document.body.appendChild(this.videoElement);
+    for (const key of ['innerAngle', 'outerAngle']) {
+      if (!Number.isFinite(next[key]) || next[key] < 0 || next[key] > 360) {
+        throw new ValidationError(`Audio cone ${key} must be between 0 and 360 degrees`);
       }
+    }
+    if (next.innerAngle > next.outerAngle) {
+      throw new ValidationError('Audio cone innerAngle cannot exceed outerAngle');
+    }
+    if (!Number.isFinite(next.outerGain) || next.outerGain < 0 || next.outerGain > 1) {
+      throw new ValidationError('Audio cone outerGain must be between 0 and 1');
+    }
+    return next;
+  }
 
-      // Wait for video to be ready.
-      this.log('Waiting for video to be ready');
-      await new Promise((resolve) => {
-        this.videoElement.onloadedmetadata = () => {
-          // Additional wait for video to actually start playing
-          this.videoElement.oncanplay = () => {
-            // Force a small delay to ensure video is fully ready
-            setTimeout(resolve, 100);
-          };
-          this.videoElement.play().then(() => {
-            // Video play started successfully
-          }).catch((error) => {
-            // If autoplay fails, still resolve after a delay
-            setTimeout(resolve, 200);
-          });
-        };
-      });
+  /**
+   * Queue a position for clientId, replacing any update that hasn't been sent yet
+   */
+  queuePositionUpdate(position, clientId = this.clientId) {
+    if (!this.positionUpdates.has(clientId)) {
+      this.positionUpdates.set(clientId, { pending: null, timer: null, inFlight: false, lastSentAt: 0 });
+    }
+    this.positionUpdates.get(clientId).pending = position;
+    this.schedulePositionUpdate(clientId);
+  }
 
-      // Safari-specific: Additional wait to ensure video is actually streaming
-      if (this.isSafari) {
-        this.log('Additional Safari video readiness check');
-        await new Promise((resolve) => {
-          let checkCount = 0;
-          const checkVideo = () => {
-            if (this.videoElement.videoWidth > 0 && this.videoElement.videoHeight > 0 && !this.videoElement.paused) {
-              resolve();
-            } else if (checkCount < 50) { // 5 seconds max
-              checkCount++;
-              setTimeout(checkVideo, 100);
-            } else {
-              resolve();
-            }
-          };
-          checkVideo();
-        });
-      }
+  /**
+   * Schedule sending the pending position of clientId, respecting the update interval
+   */
+  schedulePositionUpdate(clientId = this.clientId) {
+    const update = this.positionUpdates.get(clientId);
+    if (!update || update.timer || update.inFlight || !update.pending) {
+      return;
+    }
 
-      this.isSendingVideo = true;
+    const elapsed = Date.now() - update.lastSentAt;
+    const delay = Math.max(0, this.config.positionUpdateInterval - elapsed);
 
-      // Re-establish video WebSocket connection only (independent of audio)
-      await this.initializeVideoConnection();
+    update.timer = setTimeout(() => {
+      update.timer = null;
+      this.flushPositionUpdate(clientId);
+    }, delay);
+  }
 
-      // Wait for data channel to be ready (only if not already ready)
-      if (!this.isVideoConnectionReady()) {
-        this.log('Waiting for video data channel to open');
-        let attempts = 0;
-        const maxAttempts = 50; // 5 seconds
-        while (!this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          attempts++;
-          if (attempts >= maxAttempts) {
-            throw new Error('Video data channel failed to open within 5 seconds');
-          }
-        }
-      }
+  /**
+   * Send the pending position of clientId to the server
+   */
+  async flushPositionUpdate(clientId = this.clientId) {
+    const update = this.positionUpdates.get(clientId);
+    const position = update?.pending;
+    if (!position) {
+      return;
+    }
 
-      // Start video capture loop
-      this.log('Starting video frame sending loop');
-      this.videoInterval = setInterval(() => {
-        this.sendVideoFrame();
-      }, 1000 / this.config.videoFrameRate);
+    update.pending = null;
+    update.inFlight = true;
+    update.lastSentAt = Date.now();
 
-      this.log('🟢 Video sending started successfully');
-      this.callbacks.onVideoStateChange?.('sending', true);
+    try {
+      // Realtime transports are fire-and-forget; only the HTTP path is acknowledged
+      if (this.sendRealtimePositionUpdate(position, clientId)) {
+        return;
+      }
 
+      const ack = await this.sendHttpPositionUpdate(position, clientId);
+      if (clientId === this.clientId) {
+        this.emit('onPositionAck', position, ack);
+      }
     } catch (error) {
-      this.handleError('🔴 Failed to start sending video', error);
+      // A newer position was queued while this one failed, so it no longer matters
+      if (update.pending) {
+        this.log('Dropped failed position update superseded by a newer one', { clientId, error: error.message });
+        return;
+      }
+      const message = clientId === this.clientId ? 'Failed to update position' : `Failed to update position of emitter ${clientId}`;
+      this.handleError(message, error, ERROR_CODES.POSITION_UPDATE_FAILED);
+    } finally {
+      update.inFlight = false;
+      this.schedulePositionUpdate(clientId);
     }
   }
 
   /**
-   * Stop sending video
+   * Set the position of a peer, e.g. from the application's own roster
    */
-  stopSendingVideo() {
-    this.log('🟡 Stopping video sending');
-
-    // Notify server that we're stopping sending video
-    if (this.videoDataChannel && this.videoDataChannel.readyState === 'open') {
-      this.videoDataChannel.send(JSON.stringify({
-          type: 'stop-video'
-      }));
+  setPeerPosition(clientId, position) {
+    if (!clientId || clientId === this.clientId) {
+      return this;
     }
 
-    if (this.videoInterval) {
-      this.log('Clearing video interval');
-      clearInterval(this.videoInterval);
-      this.videoInterval = null;
+    const peer = this.peers.get(clientId) || { position: null, orientation: null, inRange: false, sequence: null, timestamp: null };
+    peer.position = {
+      x: Number(position.x) || 0,
+      y: Number(position.y) || 0,
+      z: Number(position.z) || 0
+    };
+    peer.orientation = {
+      yaw: Number(position.yaw) || 0,
+      pitch: Number(position.pitch) || 0
+    };
+    this.peers.set(clientId, peer);
+    this.updatePeerProximity(clientId);
+    return this;
+  }
+
+  /**
+   * Forget a peer, firing onPeerLeaveRange if it was in range
+   */
+  removePeer(clientId) {
+    const peer = this.peers.get(clientId);
+    if (!peer) {
+      return this;
     }
 
-    if (this.videoElement) {
-      this.log('Stopping video tracks');
-      if (this.videoElement.srcObject) {
-        this.videoElement.srcObject.getTracks().forEach(track => track.stop());
-      }
-      if (this.isSafari && this.videoElement.parentNode) {
-        this.log('Removing video element from DOM for Safari');
-        this.videoElement.parentNode.removeChild(this.videoElement);
-      }
-      this.videoElement = null;
+    this.peers.delete(clientId);
+    if (peer.inRange) {
+      this.emit('onPeerLeaveRange', clientId, this.getDistance(peer.position));
     }
+    return this;
+  }
 
-    this.videoCanvas = null;
-    this.videoContext = null;
-    this.isSendingVideo = false;
+  /**
+   * Replace all known peers with a roster of { clientId, x, y, z, yaw, pitch } entries
+   */
+  setPeerRoster(roster = []) {
+    const seen = new Set();
+    roster.forEach(entry => {
+      seen.add(entry.clientId);
+      this.setPeerPosition(entry.clientId, entry);
+    });
 
-    // Only close video connection if both sending and viewing are stopped
-    if (!this.isSendingVideo && !this.isViewingVideo) {
-      if (this.videoPeerConnection) {
-        this.log('Closing video peer connection');
-        this.videoPeerConnection.close();
-        this.videoPeerConnection = null;
-      }
-      if (this.videoWsConnection) {
-        this.log('Closing video WebSocket connection');
-        this.videoWsConnection.close();
-        this.videoWsConnection = null;
+    for (const clientId of [...this.peers.keys()]) {
+      if (!seen.has(clientId)) {
+        this.removePeer(clientId);
       }
-      this.videoDataChannel = null;
     }
-
-    this.log('🔴 Video sending stopped');
-    this.callbacks.onVideoStateChange?.('sending', false);
+    return this;
   }
 
   /**
-   * Start viewing video
+   * Get the client IDs of peers currently within hearing range
    */
-  async startViewingVideo() {
-    this.log('Starting video viewing', {
-      isViewingVideo: this.isViewingVideo,
-      hasVideoDataChannel: !!this.videoDataChannel
+  getPeersInRange() {
+    const peers = [];
+    this.peers.forEach((peer, clientId) => {
+      if (peer.inRange) {
+        peers.push({
+          clientId,
+          distance: this.getDistance(peer.position),
+          position: { ...peer.position },
+          orientation: { ...peer.orientation }
+        });
+      }
     });
+    return peers.sort((a, b) => a.distance - b.distance);
+  }
 
-    if (this.isViewingVideo) {
-      this.log('Already viewing video, skipping');
-      return;
-    }
+  /**
+   * Distance from our position to another position
+   */
+  getDistance(position, origin = this.listenerPose || this.position) {
+    const dx = position.x - origin.x;
+    const dy = position.y - origin.y;
+    const dz = position.z - origin.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+  }
 
-    try {
-      this.isViewingVideo = true;
+  /**
+   * Normalize a { position, yaw, pitch } pose into { x, y, z, yaw, pitch }
+   */
+  normalizePose({ position = {}, yaw = 0, pitch = 0 } = {}) {
+    const pose = {
+      x: position.x ?? 0,
+      y: position.y ?? 0,
+      z: position.z ?? 0,
+      yaw,
+      pitch
+    };
+    for (const [key, value] of Object.entries(pose)) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ValidationError(`Pose ${key} must be a finite number`);
+      }
+    }
+    return pose;
+  }
 
-      // Re-establish video WebSocket connection only (independent of audio)
-      await this.initializeVideoConnection();
+  /**
+   * Hear the world from a camera pose instead of our own position, or pass
+   * null to hear from our position again
+   */
+  setListenerPose(pose) {
+    this.listenerPose = pose ? this.normalizePose(pose) : null;
+    this.log('Listener pose set', this.listenerPose);
+    this.updatePeerProximity();
 
-      // Wait for data channel to be ready (only if not already ready)
-      if (!this.isVideoConnectionReady()) {
-        this.log('Waiting for video data channel to open');
-        let attempts = 0;
-        const maxAttempts = 50; // 5 seconds
-        while (!this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          attempts++;
-          if (attempts >= maxAttempts) {
-            throw new Error('Video data channel failed to open within 5 seconds');
-          }
-        }
-      }
+    if (this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN) {
+      this.audioWsConnection.send(JSON.stringify({
+        type: 'listener-pose',
+        clientId: this.clientId,
+        pose: this.listenerPose
+      }));
+    }
+    return this;
+  }
 
-      // Start cleanup interval for old video entries (like index.html)
-      this.videoCleanupInterval = setInterval(() => {
-        this.cleanupOldVideos();
-      }, 1000); // Clean up every second
+  /**
+   * See the world from a camera pose instead of our own position, or pass
+   * null to see from our position again
+   */
+  setViewerPose(pose) {
+    this.viewerPose = pose ? this.normalizePose(pose) : null;
+    this.log('Viewer pose set', this.viewerPose);
 
-      this.log('🟢 Video viewing started');
-      this.callbacks.onVideoStateChange?.('viewing', true);
-    } catch (error) {
-      this.handleError('🔴 Failed to start viewing video', error);
+    if (this.videoWsConnection && this.videoWsConnection.readyState === WebSocket.OPEN) {
+      this.videoWsConnection.send(JSON.stringify({
+        type: 'viewer-pose',
+        clientId: this.clientId,
+        pose: this.viewerPose
+      }));
     }
+    return this;
   }
 
   /**
-   * Clean up old video entries to prevent memory leaks
+   * Re-evaluate which peers are in range, with hysteresis so peers hovering
+   * at the edge of maxHearingRange don't flap in and out.
+   * Checks a single peer when clientId is given, otherwise all peers.
    */
-  cleanupOldVideos() {
-    const currentTime = BigInt(Date.now()) * BigInt(1000000); // nanoseconds
-    const cleanupThresholdMs = 2000; // Clean up entries older than 2 seconds
+  updatePeerProximity(clientId = null) {
+    const enterRange = this.config.maxHearingRange;
+    const leaveRange = this.config.maxHearingRange + this.config.rangeHysteresis;
+    const entries = clientId ? [[clientId, this.peers.get(clientId)]] : [...this.peers.entries()];
+
+    for (const [id, peer] of entries) {
+      if (!peer || !peer.position) {
+        continue;
+      }
 
-    for (const [clientID, videoData] of this.receivedVideos.entries()) {
-      const frameAgeMs = Number(currentTime - videoData.timestamp) / 1000000;
-      if (frameAgeMs > cleanupThresholdMs) {
-        // Revoke blob URL to free memory
-        URL.revokeObjectURL(videoData.url);
-        this.receivedVideos.delete(clientID);
-        this.log('Cleaned up old video entry', { clientID, frameAgeMs });
+      const distance = this.getDistance(peer.position);
+      if (!peer.inRange && distance <= enterRange) {
+        peer.inRange = true;
+        this.log('Peer entered range', { clientId: id, distance });
+        this.emit('onPeerEnterRange', id, distance, { ...peer.position });
+      } else if (peer.inRange && distance > leaveRange) {
+        peer.inRange = false;
+        this.log('Peer left range', { clientId: id, distance });
+        this.emit('onPeerLeaveRange', id, distance);
       }
     }
+
+    this.updateVideoTierRequests();
   }
 
   /**
-   * Stop viewing video
+   * Resolution tiers we publish, largest first
    */
-  stopViewingVideo() {
-    this.log('🟡 Stopping video viewing');
+  getVideoTiers() {
+    const tiers = this.config.videoTiers || [{ width: this.config.videoWidth, height: this.config.videoHeight }];
+    return tiers
+      .map(({ width, height }) => ({ width, height }))
+      .sort((a, b) => b.width * b.height - a.width * a.height);
+  }
 
-    this.isViewingVideo = false;
+  /**
+   * Record which of our tiers the server wants, so we only encode those
+   */
+  setDemandedVideoTiers(tiers) {
+    this.demandedVideoTiers = Array.isArray(tiers) ? new Set(tiers.map(t => `${t.width}x${t.height}`)) : null;
+    this.log('Video tier demand updated', { tiers });
+  }
 
-    // Stop cleanup interval
-    if (this.videoCleanupInterval) {
-      this.log('Clearing video cleanup interval');
-      clearInterval(this.videoCleanupInterval);
-      this.videoCleanupInterval = null;
+  /**
+   * Pick the tier to request for a remote source based on its distance.
+   * Returns null when the source's distance or tiers are unknown.
+   */
+  selectVideoTier(clientId) {
+    const peer = this.peers.get(clientId);
+    if (!peer || !peer.position) {
+      return null;
     }
 
-    // Notify UI to remove all video elements before clearing data
-    this.log('Notifying UI to remove all video elements');
-    this.receivedVideos.forEach((videoData, clientId) => {
-      this.callbacks.onVideoSourceRemove?.(clientId);
-    });
-
-    // Clear received videos
-    this.receivedVideos.forEach(videoData => {
-      URL.revokeObjectURL(videoData.url);
-    });
-    this.receivedVideos.clear();
-    this.log('Cleared all received videos');
-
-    // Only close video connection if both sending and viewing are stopped
-    if (!this.isSendingVideo && !this.isViewingVideo) {
-      if (this.videoPeerConnection) {
-        this.log('Closing video peer connection');
-        this.videoPeerConnection.close();
-        this.videoPeerConnection = null;
-      }
-      if (this.videoWsConnection) {
-        this.log('Closing video WebSocket connection');
-        this.videoWsConnection.close();
-        this.videoWsConnection = null;
-      }
-      this.videoDataChannel = null;
+    // Sources that never advertised tiers send one size we can't choose
+    const tiers = this.videoSourceTiers.get(clientId);
+    if (!tiers) {
+      return null;
     }
+    const distance = this.getDistance(peer.position, this.viewerPose || this.position);
+    const boundaries = this.config.videoLodDistances;
 
-    this.log('🔴 Video viewing stopped');
-    this.callbacks.onVideoStateChange?.('viewing', false);
+    let index = boundaries.findIndex(boundary => distance < boundary);
+    if (index === -1) {
+      index = boundaries.length;
+    }
+    return tiers[Math.min(index, tiers.length - 1)];
   }
 
   /**
-   * Handle audio WebSocket messages
+   * Ask the server for the right tier of every source we know about,
+   * sending a request only when a source's tier changes
    */
-  async handleAudioMessage(event) {
-    try {
-      const message = JSON.parse(event.data);
-      this.log('Received audio message', { type: message.type });
-
-      switch (message.type) {
-        case 'answer':
-          this.log('Setting audio remote description', {
-            sdp: message.sdp ? message.sdp.substring(0, 100) + '...' : 'no sdp',
-            fullSdp: message.sdp // Log full SDP for debugging
-          });
-          await this.audioPeerConnection.setRemoteDescription(new RTCSessionDescription({
-            type: 'answer',
-            sdp: message.sdp
-          }));
-          this.log('Audio remote description set successfully');
-          break;
+  updateVideoTierRequests() {
+    if (!this.isViewingVideo || !this.videoWsConnection || this.videoWsConnection.readyState !== WebSocket.OPEN) {
+      return;
+    }
 
-        case 'ice-candidate':
-          this.log('Adding audio ICE candidate');
-          const candidate = JSON.parse(message.candidate);
-          await this.audioPeerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-          this.log('Audio ICE candidate added successfully');
-          break;
+    const sources = new Set([...this.videoSourceTiers.keys(), ...this.receivedVideos.keys()]);
+    sources.forEach(sourceId => {
+      const tier = this.selectVideoTier(sourceId);
+      if (!tier) {
+        return;
+      }
 
-        default:
-          this.log('Unknown audio message type', { type: message.type });
+      const key = `${tier.width}x${tier.height}`;
+      if (this.requestedVideoTiers.get(sourceId) === key) {
+        return;
       }
-    } catch (error) {
-      this.handleError('Audio message handling error', error);
-    }
+
+      this.requestedVideoTiers.set(sourceId, key);
+      this.log('Requesting video tier', { sourceId, width: tier.width, height: tier.height });
+      this.videoWsConnection.send(JSON.stringify({
+        type: 'video-tier-request',
+        clientId: this.clientId,
+        sourceId,
+        width: tier.width,
+        height: tier.height
+      }));
+    });
   }
 
   /**
-   * Handle video message
+   * Whether a frame size is one the source advertised. Sources that haven't
+   * advertised tiers (older senders) may send any size.
    */
-  handleVideoMessage(message) {
+  isAdvertisedVideoSize(clientId, { width, height }) {
+    const tiers = this.videoSourceTiers.get(clientId);
+    return !tiers || tiers.some(tier => tier.width === width && tier.height === height);
+  }
+
+  /**
+   * Handle peer position messages pushed by the server on any signaling channel.
+   * Returns true if the message was a peer message.
+   */
+  handlePeerMessage(message) {
     switch (message.type) {
-      case 'answer':
-        console.log('Received video answer');
-        if (this.videoPeerConnection) {
-          const answer = new RTCSessionDescription({
-            type: 'answer',
-            sdp: message.sdp
-          });
-          this.videoPeerConnection.setRemoteDescription(answer).then(() => {
-            console.log('Video answer set successfully');
-          }).catch(error => {
-            console.error('Error setting video answer:', error);
-          });
-        }
-        break;
-      case 'ice-candidate':
-        console.log('Received video ICE candidate');
-        if (this.videoPeerConnection && this.videoPeerConnection.remoteDescription) {
-          const candidate = JSON.parse(message.candidate);
-          this.videoPeerConnection.addIceCandidate(candidate).then(() => {
-            console.log('Video ICE candidate added successfully');
-          }).catch(error => {
-            console.error('Error adding video ICE candidate:', error);
-          });
+      case 'peer-position':
+        this.setPeerPosition(message.clientId, message);
+        return true;
+      case 'position':
+        if (typeof message.clientId === 'string' && message.position) {
+          this.applyPositionPacket(message);
         }
-        break;
-      case 'error':
-        console.error('Video connection error:', message.message);
-        break;
+        return true;
+      case 'peer-roster':
+        this.setPeerRoster(message.peers);
+        return true;
+      case 'peer-leave':
+        this.removePeer(message.clientId);
+        return true;
       default:
-        console.log('Unknown video message type:', message.type);
+        return false;
     }
   }
 
   /**
-   * Handle incoming video message
+   * Join a named zone (room, stage, whisper bubble). Audibility inside zones is
+   * decided by the server independent of distance.
    */
-  handleIncomingVideoMessage(data) {
-    try {
-      // Basic validation - check if data is too small for a valid frame
-      if (!data || data.byteLength < 20) { // Minimum size for header + some data
-        return; // Keep last good image
-      }
-
-      const view = new DataView(data);
-      const clientIDLen = view.getUint32(0, false); // Big endian
+  joinZone(zoneId) {
+    if (typeof zoneId !== 'string' || zoneId === '') {
+      throw new ValidationError('Zone ID must be a non-empty string');
+    }
+    if (this.zones.has(zoneId)) {
+      return this;
+    }
 
-      // Validate client ID length
-      if (clientIDLen <= 0 || clientIDLen > 1000 || clientIDLen + 16 > data.byteLength) {
-        return; // Keep last good image
-      }
+    this.zones.add(zoneId);
+    this.sendZoneMessage({ type: 'zone-join', clientId: this.clientId, zoneId });
+    this.log('Joined zone', { zoneId });
+    this.emit('onZoneJoin', zoneId, this.clientId);
+    this.applyZoneVideoFilter();
+    return this;
+  }
 
-      const clientID = new TextDecoder().decode(data.slice(4, 4 + clientIDLen));
+  /**
+   * Leave a named zone
+   */
+  leaveZone(zoneId) {
+    if (!this.zones.has(zoneId)) {
+      return this;
+    }
 
-      // Validate client ID is not empty
-      if (!clientID || clientID.trim() === '') {
-        return; // Keep last good image
-      }
+    this.zones.delete(zoneId);
+    this.sendZoneMessage({ type: 'zone-leave', clientId: this.clientId, zoneId });
+    this.log('Left zone', { zoneId });
+    this.emit('onZoneLeave', zoneId, this.clientId);
+    this.applyZoneVideoFilter();
+    return this;
+  }
 
-      const timestamp = view.getBigUint64(4 + clientIDLen, false);
-      const frameNumber = view.getUint32(12 + clientIDLen, false);
-      const videoData = data.slice(16 + clientIDLen);
+  /**
+   * Get the zones we belong to
+   */
+  getZones() {
+    return [...this.zones];
+  }
 
-      // Validate video data is not empty
-      if (!videoData || videoData.byteLength === 0) {
-        return; // Keep last good image
+  /**
+   * Get the known members of a zone, including ourselves
+   */
+  getZoneMembers(zoneId) {
+    const members = [];
+    if (this.zones.has(zoneId)) {
+      members.push(this.clientId);
+    }
+    this.peerZones.forEach((zones, clientId) => {
+      if (zones.has(zoneId)) {
+        members.push(clientId);
       }
+    });
+    return members;
+  }
 
-      // Check frame age - drop frames that are too old
-      const currentTime = BigInt(Date.now()) * BigInt(1000000); // nanoseconds
-      const frameAgeMs = Number(currentTime - timestamp) / 1000000; // Convert to milliseconds
-
-      if (frameAgeMs > 1000) { // 1 second threshold
-        return; // Frame is too old, drop it
+  /**
+   * Send a zone message on every open signaling socket. Zones are also
+   * carried in each offer, so a socket opened later still learns them.
+   */
+  sendZoneMessage(message) {
+    const payload = JSON.stringify(message);
+    // In unified mode both are the same socket
+    for (const ws of new Set([this.audioWsConnection, this.videoWsConnection])) {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(payload);
       }
+    }
+  }
 
-      // Validate JPEG data by checking for JPEG header
-      if (videoData.byteLength < 2) {
-        return; // Not enough data for JPEG header
+  /**
+   * Handle zone membership messages pushed by the server on either signaling socket.
+   * Returns true if the message was a zone message.
+   */
+  handleZoneMessage(message) {
+    switch (message.type) {
+      case 'zone-joined':
+        this.setZoneMembership(message.zoneId, message.clientId, true);
+        return true;
+      case 'zone-left':
+        this.setZoneMembership(message.zoneId, message.clientId, false);
+        return true;
+      case 'zone-members': {
+        const members = new Set(message.members || []);
+        this.peerZones.forEach((zones, clientId) => {
+          if (zones.has(message.zoneId) && !members.has(clientId)) {
+            this.setZoneMembership(message.zoneId, clientId, false);
+          }
+        });
+        members.forEach(clientId => this.setZoneMembership(message.zoneId, clientId, true));
+        return true;
       }
+      default:
+        return false;
+    }
+  }
 
-      // Convert to Uint8Array for proper byte access
-      const videoBytes = new Uint8Array(videoData);
+  /**
+   * Record that a client joined or left a zone, firing membership events on change
+   */
+  setZoneMembership(zoneId, clientId, joined) {
+    if (!zoneId || !clientId) {
+      return;
+    }
 
-      if (videoBytes[0] !== 0xFF || videoBytes[1] !== 0xD8) {
-        return; // Not a valid JPEG, keep last good image
+    // The server may confirm or revoke our own membership
+    if (clientId === this.clientId) {
+      if (joined && !this.zones.has(zoneId)) {
+        this.zones.add(zoneId);
+        this.emit('onZoneJoin', zoneId, clientId);
+        this.applyZoneVideoFilter();
+      } else if (!joined && this.zones.has(zoneId)) {
+        this.zones.delete(zoneId);
+        this.emit('onZoneLeave', zoneId, clientId);
+        this.applyZoneVideoFilter();
       }
+      return;
+    }
 
-      // Parse JPEG dimensions directly from binary data
-      const dimensions = this.getJPEGDimensions(videoBytes);
-      if (!dimensions) {
-        return; // Could not parse dimensions, keep last good image
-      }
+    const zones = this.peerZones.get(clientId) || new Set();
+    if (joined === zones.has(zoneId)) {
+      return;
+    }
 
-      // Check if image dimensions are correct
-      if (dimensions.width !== this.config.videoWidth || dimensions.height !== this.config.videoHeight) {
-        return; // Wrong dimensions, keep last good image
-      }
+    if (joined) {
+      zones.add(zoneId);
+    } else {
+      zones.delete(zoneId);
+    }
+    if (zones.size > 0) {
+      this.peerZones.set(clientId, zones);
+    } else {
+      this.peerZones.delete(clientId);
+    }
 
-      // Convert video data to blob URL with proper MIME type for Firefox
-      const blob = new Blob([videoData], { type: 'image/jpeg' });
-      const url = URL.createObjectURL(blob);
+    if (joined) {
+      this.log('Client joined zone', { zoneId, clientId });
+      this.emit('onZoneJoin', zoneId, clientId);
+    } else {
+      this.log('Client left zone', { zoneId, clientId });
+      this.emit('onZoneLeave', zoneId, clientId);
+    }
+    this.applyZoneVideoFilter();
+  }
 
-      // Check if this is a new video source
-      const isNewVideoSource = !this.receivedVideos.has(clientID);
-
-      // Store video data
-      this.receivedVideos.set(clientID, {
-        url: url,
-        timestamp: timestamp,
-        frameNumber: frameNumber
-      });
+  /**
+   * Whether video from a source should be surfaced given zone membership.
+   * Sources are visible when they share a zone with us, or when neither
+   * side is in any zone.
+   */
+  isVideoSourceVisible(clientId) {
+    if (!this.config.zoneVideoFiltering) {
+      return true;
+    }
 
-      // Only call onVideoSourceAdd for new video sources, not for every frame
-      if (isNewVideoSource) {
-        this.log('New video source detected', { clientID, url });
-        this.callbacks.onVideoSourceAdd?.(clientID, url);
-      } else {
-        // Update existing video element's src to animate the image
-        // this.log('Updating existing video frame', { clientID, frameNumber });
-        // The callback should handle updating the existing img src
-        this.callbacks.onVideoFrameUpdate?.(clientID, url);
+    const zones = this.peerZones.get(clientId);
+    if (!zones || zones.size === 0) {
+      return this.zones.size === 0;
+    }
+    for (const zoneId of zones) {
+      if (this.zones.has(zoneId)) {
+        return true;
       }
+    }
+    return false;
+  }
 
-    } catch (error) {
-      this.logError('Error handling video message', error);
-      // Don't update display on error - keep last good image
+  /**
+   * Remove displayed video sources that are no longer visible after a zone change.
+   * Sources that become visible appear with their next frame.
+   */
+  applyZoneVideoFilter() {
+    for (const [clientID, videoData] of this.receivedVideos.entries()) {
+      if (!this.isVideoSourceVisible(clientID)) {
+        URL.revokeObjectURL(videoData.url);
+        this.receivedVideos.delete(clientID);
+        this.emit('onVideoSourceRemove', clientID);
+      }
     }
   }
 
   /**
-   * Send video frame (video capture loop)
+   * Join a radio channel. Members of a channel hear each other at full volume
+   * regardless of position.
    */
-  sendVideoFrame() {
-    if (!this.videoContext || !this.videoElement || !this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
-      return;
+  joinChannel(channelId) {
+    if (typeof channelId !== 'string' || channelId === '') {
+      throw new ValidationError('Channel ID must be a non-empty string');
+    }
+    if (this.channels.has(channelId)) {
+      return this;
     }
 
-    // Check if video element is ready and has valid dimensions
-    if (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0) {
-      return; // Video not ready yet
+    this.channels.add(channelId);
+    this.sendChannelMessage({ type: 'channel-join', clientId: this.clientId, channelId });
+    this.log('Joined channel', { channelId });
+    return this;
+  }
+
+  /**
+   * Leave a radio channel, clearing it as transmit channel if needed
+   */
+  leaveChannel(channelId) {
+    if (!this.channels.has(channelId)) {
+      return this;
     }
 
-    // Draw video frame to canvas
-    try {
-      this.videoContext.drawImage(this.videoElement, 0, 0, this.config.videoWidth, this.config.videoHeight);
-    } catch (error) {
-      this.logError('Error drawing video to canvas', error);
-      return;
+    if (this.transmitChannel === channelId) {
+      this.setTransmitChannel(null);
     }
+    this.channels.delete(channelId);
+    this.sendChannelMessage({ type: 'channel-leave', clientId: this.clientId, channelId });
+    this.log('Left channel', { channelId });
+    return this;
+  }
 
-    // Convert to JPEG
-    this.videoCanvas.toBlob((blob) => {
-      if (blob) {
-        // Create binary message with header (like index.html)
-        const clientIDBytes = new TextEncoder().encode(this.clientId);
-        const clientIDLen = clientIDBytes.length;
-        const timestamp = BigInt(Date.now()) * BigInt(1000000); // nanoseconds
+  /**
+   * Get the radio channels we belong to
+   */
+  getChannels() {
+    return [...this.channels];
+  }
 
-        // Calculate total message size
-        const totalSize = 4 + clientIDLen + 8 + 4 + blob.size;
-        const message = new ArrayBuffer(totalSize);
-        const view = new DataView(message);
+  /**
+   * Choose the channel our microphone is transmitted on (joining it if needed),
+   * or null to transmit spatially only
+   */
+  setTransmitChannel(channelId) {
+    if (this.applyTransmitChannel(channelId)) {
+      // Without push-to-talk we transmit on the channel whenever we're sending audio
+      this.sendChannelTransmitState();
+    }
+    return this;
+  }
 
-        // Write header
-        view.setUint32(0, clientIDLen, false); // Big endian
-        new Uint8Array(message, 4, clientIDLen).set(clientIDBytes);
-        view.setBigUint64(4 + clientIDLen, timestamp, false);
-        view.setUint32(12 + clientIDLen, this.videoFrameNumber++, false);
+  /**
+   * Switch the transmit channel without announcing the new transmit state.
+   * Returns false when channelId already was the transmit channel.
+   */
+  applyTransmitChannel(channelId) {
+    if (channelId !== null) {
+      this.joinChannel(channelId);
+    }
+    if (this.transmitChannel === channelId) {
+      return false;
+    }
 
-        // Read blob data
-        const reader = new FileReader();
-        reader.onload = () => {
-          new Uint8Array(message, 16 + clientIDLen).set(new Uint8Array(reader.result));
+    if (this.isPushToTalkActive) {
+      this.stopPushToTalk();
+    }
+    this.transmitChannel = channelId;
+    this.log('Transmit channel set', { channelId });
+    return true;
+  }
 
-          // Send via data channel
-          try {
-            this.videoDataChannel.send(message);
-          } catch (error) {
-            this.logError('Error sending video frame via data channel', error);
-          }
-        };
-        reader.readAsArrayBuffer(blob);
-      } else {
-        this.logError('Failed to create video blob');
-        // Safari fallback: try toDataURL method
-        if (this.isSafari) {
-          try {
-            const dataURL = this.videoCanvas.toDataURL('image/jpeg', this.config.videoQuality);
-            const base64Data = dataURL.split(',')[1];
-            const binaryData = atob(base64Data);
-            const bytes = new Uint8Array(binaryData.length);
-            for (let i = 0; i < binaryData.length; i++) {
-              bytes[i] = binaryData.charCodeAt(i);
-            }
+  /**
+   * Start transmitting on a channel while the push-to-talk key is held
+   */
+  startPushToTalk(channelId = this.transmitChannel) {
+    if (!channelId) {
+      throw new TankRTCError(ERROR_CODES.INVALID_STATE, 'No transmit channel set for push-to-talk');
+    }
+    if (!this.isSendingAudio) {
+      throw new TankRTCError(ERROR_CODES.INVALID_STATE, 'Start sending audio before using push-to-talk');
+    }
 
-            // Create binary message with header
-            const clientIDBytes = new TextEncoder().encode(this.clientId);
-            const clientIDLen = clientIDBytes.length;
-            const timestamp = BigInt(Date.now()) * BigInt(1000000); // nanoseconds
+    // Announce the press once, even when it also switches channel
+    const switched = this.applyTransmitChannel(channelId);
+    if (this.isPushToTalkActive && !switched) {
+      return this;
+    }
 
-            // Calculate total message size
-            const totalSize = 4 + clientIDLen + 8 + 4 + bytes.length;
-            const message = new ArrayBuffer(totalSize);
-            const view = new DataView(message);
+    this.isPushToTalkActive = true;
+    this.sendChannelTransmitState();
+    return this;
+  }
 
-            // Write header
-            view.setUint32(0, clientIDLen, false); // Big endian
-            new Uint8Array(message, 4, clientIDLen).set(clientIDBytes);
-            view.setBigUint64(4 + clientIDLen, timestamp, false);
-            view.setUint32(12 + clientIDLen, this.videoFrameNumber++, false);
+  /**
+   * Stop transmitting on the push-to-talk channel
+   */
+  stopPushToTalk() {
+    if (!this.isPushToTalkActive) {
+      return this;
+    }
 
-            // Copy image data
-            new Uint8Array(message, 16 + clientIDLen).set(bytes);
+    this.isPushToTalkActive = false;
+    this.sendChannelTransmitState();
+    return this;
+  }
 
-            // Send via data channel
-            this.videoDataChannel.send(message);
-          } catch (fallbackError) {
-            this.logError('Safari fallback also failed', fallbackError);
-          }
-        }
-      }
-    }, 'image/jpeg', this.config.videoQuality);
+  /**
+   * Whether our microphone is currently transmitted on the transmit channel
+   */
+  isTransmittingOnChannel() {
+    return !!this.transmitChannel && this.isSendingAudio &&
+      (!this.config.pushToTalk || this.isPushToTalkActive);
   }
 
   /**
-   * Setup remote audio
+   * Tell the server whether we are transmitting on our channel
    */
-  async setupRemoteAudio(stream) {
-    this.log('Setting up remote audio', {
-      isListeningAudio: this.isListeningAudio,
-      hasRemoteAudioElement: !!this.remoteAudioElement,
-      isSafari: this.isSafari,
-      streamTracks: stream ? stream.getTracks().length : 0,
-      streamId: stream ? stream.id : 'no-stream',
-      streamActive: stream ? stream.active : false
+  sendChannelTransmitState() {
+    const active = this.isTransmittingOnChannel();
+    this.sendChannelMessage({
+      type: 'channel-transmit',
+      clientId: this.clientId,
+      channelId: this.transmitChannel,
+      active
     });
+    this.emit('onChannelTransmitChange', this.transmitChannel, active);
+  }
 
-    if (!this.isListeningAudio) {
-      this.log('Skipping remote audio setup - not listening');
-      return;
+  /**
+   * Send a channel message on the audio signaling socket. Channels are also
+   * carried in each audio offer, so a socket opened later still learns them.
+   */
+  sendChannelMessage(message) {
+    if (this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN) {
+      this.audioWsConnection.send(JSON.stringify(message));
     }
+  }
 
-    if (!stream) {
-      this.logError('No stream provided to setupRemoteAudio');
-      return;
+  /**
+   * Place a virtual audio source (NPC, ambient beacon) in the spatial mix.
+   * Each emitter gets its own sub-clientId and track on the audio peer connection.
+   * source can be a MediaStream, an AudioBuffer or a URL to an audio file.
+   */
+  async createEmitter({ id, position = {}, source, loop = true } = {}) {
+    if (typeof id !== 'string' || id === '') {
+      throw new ValidationError('Emitter ID must be a non-empty string');
+    }
+    if (this.emitters.has(id)) {
+      throw new ValidationError(`Emitter ${id} already exists`);
     }
 
-    // Log stream details
-    this.log('Stream details', {
-      id: stream.id,
-      active: stream.active,
-      tracks: stream.getTracks().map(t => ({
-        id: t.id,
-        kind: t.kind,
-        enabled: t.enabled,
-        muted: t.muted,
-        readyState: t.readyState
-      }))
-    });
-
-    // Add stream event listeners for debugging
-    stream.onaddtrack = (event) => {
-      this.log('Stream track added', { track: event.track });
-    };
-    stream.onremovetrack = (event) => {
-      this.log('Stream track removed', { track: event.track });
-    };
-    stream.onended = () => {
-      this.log('Stream ended');
+    const emitter = {
+      id,
+      clientId: `${this.clientId}:${id}`,
+      position: this.normalizePose({ position }),
+      stream: null,
+      track: null,
+      transceiver: null,
+      sourceNode: null
     };
 
-    // Add track event listeners
-    stream.getTracks().forEach(track => {
-      track.onended = () => {
-        this.log('Track ended', { trackId: track.id, kind: track.kind });
-      };
-      track.onmute = () => {
-        this.log('Track muted', { trackId: track.id, kind: track.kind });
-      };
-      track.onunmute = () => {
-        this.log('Track unmuted', { trackId: track.id, kind: track.kind });
-      };
-
-      // Add MediaStreamTrack event listeners to check for actual data
-      if (track.kind === 'audio') {
-        this.log('Setting up audio track monitoring', { trackId: track.id });
+    if (source instanceof MediaStream) {
+      emitter.track = source.getAudioTracks()[0];
+      if (!emitter.track) {
+        throw new ValidationError('Emitter MediaStream has no audio track');
+      }
+    } else {
+      let buffer = source;
+      if (typeof source === 'string') {
+        this.log('Loading emitter audio', { id, url: source });
+        let response;
+        try {
+          response = await fetch(source);
+        } catch (error) {
+          throw new DeviceError(ERROR_CODES.MEDIA_FAILED, `Failed to load emitter audio: ${error.message}`, { recoverable: true, cause: error });
+        }
+        if (!response.ok) {
+          throw new DeviceError(ERROR_CODES.MEDIA_FAILED, `Failed to load emitter audio: HTTP ${response.status}`, { recoverable: true });
+        }
+        try {
+          buffer = await this.getEmitterAudioContext().decodeAudioData(await response.arrayBuffer());
+        } catch (error) {
+          throw new DeviceError(ERROR_CODES.MEDIA_FAILED, `Failed to decode emitter audio: ${error.message}`, { cause: error });
+        }
+      }
+      if (!(buffer instanceof AudioBuffer)) {
+        throw new ValidationError('Emitter source must be a MediaStream, an AudioBuffer or a URL');
+      }
 
-        // Check if track has enabled state
-        this.log('Audio track state', {
-          id: track.id,
-          kind: track.kind,
-          enabled: track.enabled,
-          muted: track.muted,
-          readyState: track.readyState
-        });
+      const context = this.getEmitterAudioContext();
+      const destination = context.createMediaStreamDestination();
+      emitter.sourceNode = context.createBufferSource();
+      emitter.sourceNode.buffer = buffer;
+      emitter.sourceNode.loop = loop;
+      emitter.sourceNode.connect(destination);
+      emitter.sourceNode.start();
+      emitter.track = destination.stream.getAudioTracks()[0];
+    }
 
-        // Monitor track state changes
-        const checkTrackState = () => {
-          /*this.log('Audio track state check', {
-            id: track.id,
-            enabled: track.enabled,
-            muted: track.muted,
-            readyState: track.readyState
-          });*/
-        };
+    emitter.stream = new MediaStream([emitter.track]);
+    this.emitters.set(id, emitter);
+    this.log('Emitter created', { id, clientId: emitter.clientId });
 
-        // Check immediately and then every 2 seconds
-        checkTrackState();
-        const trackStateInterval = setInterval(() => {
-          if (track.readyState === 'ended') {
-            clearInterval(trackStateInterval);
-            return;
-          }
-          checkTrackState();
-        }, 2000);
+    try {
+      if (this.audioPeerConnection) {
+        this.addEmitterTransceiver(emitter);
+      } else {
+        // No audio leg yet, so bring one up just for the emitters
+        await this.rebuildAudioConnection();
+        this.addEmitterTracks();
       }
+      await this.createAudioOffer();
+    } catch (error) {
+      this.removeEmitter(id);
+      throw error;
+    }
+
+    return emitter.clientId;
+  }
+
+  /**
+   * Move a virtual emitter
+   */
+  setEmitterPosition(id, position) {
+    const emitter = this.emitters.get(id);
+    if (!emitter) {
+      throw new ValidationError(`Unknown emitter ${id}`);
+    }
+
+    emitter.position = this.normalizePose({
+      position: { ...emitter.position, ...position },
+      yaw: position.yaw ?? emitter.position.yaw,
+      pitch: position.pitch ?? emitter.position.pitch
     });
 
-    if (this.isSafari) {
-      this.log('Initializing Safari audio context for remote audio');
-      await this.initializeSafariAudioContext();
+    this.queuePositionUpdate(emitter.position, emitter.clientId);
+    return this;
+  }
+
+  /**
+   * Remove a virtual emitter and stop its source
+   */
+  removeEmitter(id) {
+    const emitter = this.emitters.get(id);
+    if (!emitter) {
+      return this;
     }
 
-    // Clear existing audio element
-    if (this.remoteAudioElement) {
-      this.log('Clearing existing audio element');
-      this.remoteAudioElement.srcObject = null;
-      if (document.body.contains(this.remoteAudioElement)) {
-        document.body.removeChild(this.remoteAudioElement);
+    this.emitters.delete(id);
+    this.cancelPositionUpdates(emitter.clientId);
+    if (emitter.transceiver && this.audioPeerConnection) {
+      try {
+        if (emitter.transceiver.stop) {
+          emitter.transceiver.stop();
+        } else {
+          this.audioPeerConnection.removeTrack(emitter.transceiver.sender);
+        }
+      } catch (error) {
+        this.handleError('Error removing emitter track', error, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
       }
     }
+    this.stopEmitterSource(emitter);
 
-    // Create new Audio element
-    this.log('Creating new audio element');
-    this.remoteAudioElement = new Audio();
-    this.remoteAudioElement.autoplay = true;
+    this.log('Emitter removed', { id });
+    if (emitter.transceiver) {
+      this.createAudioOffer();
+    }
+    return this;
+  }
 
-    // Set the stream with a small delay to ensure proper initialization
-    setTimeout(() => {
-      this.log('Setting srcObject on audio element');
-      this.remoteAudioElement.srcObject = stream;
-      this.log('srcObject set successfully');
+  /**
+   * Stop playback of an emitter created from an AudioBuffer or URL.
+   * MediaStream sources belong to the caller and are left running.
+   */
+  stopEmitterSource(emitter) {
+    if (emitter.sourceNode) {
+      emitter.sourceNode.stop();
+      emitter.sourceNode.disconnect();
+      emitter.track.stop();
+      emitter.sourceNode = null;
+    }
+  }
 
-      // Log audio element properties
-      this.log('Audio element properties', {
-        srcObject: !!this.remoteAudioElement.srcObject,
-        autoplay: this.remoteAudioElement.autoplay,
-        volume: this.remoteAudioElement.volume,
-        muted: this.remoteAudioElement.muted,
-        paused: this.remoteAudioElement.paused,
-        readyState: this.remoteAudioElement.readyState,
-        networkState: this.remoteAudioElement.networkState
+  /**
+   * Get the virtual emitters hosted by this client
+   */
+  getEmitters() {
+    return [...this.emitters.values()].map(emitter => ({
+      id: emitter.id,
+      clientId: emitter.clientId,
+      position: { ...emitter.position }
+    }));
+  }
+
+  /**
+   * Describe emitters for the audio offer so the server can map each track to its sub-clientId
+   */
+  getEmitterDescriptors() {
+    return [...this.emitters.values()].map(emitter => ({
+      id: emitter.id,
+      clientId: emitter.clientId,
+      streamId: emitter.stream.id,
+      trackId: emitter.track.id,
+      position: { ...emitter.position }
+    }));
+  }
+
+  /**
+   * Add every emitter's track to a freshly created audio peer connection
+   */
+  addEmitterTracks() {
+    const transceivers = this.audioPeerConnection.getTransceivers();
+    this.emitters.forEach(emitter => {
+      if (!transceivers.includes(emitter.transceiver)) {
+        this.addEmitterTransceiver(emitter);
+      }
+    });
+  }
+
+  /**
+   * Give an emitter its own send-only transceiver. addTrack() would reuse the
+   * microphone's recvonly transceiver, which updateAudioTransceiver() later
+   * points at the microphone.
+   */
+  addEmitterTransceiver(emitter) {
+    emitter.transceiver = this.audioPeerConnection.addTransceiver(emitter.track, {
+      direction: 'sendonly',
+      streams: [emitter.stream]
+    });
+  }
+
+  /**
+   * Audio context used to turn AudioBuffers into emitter tracks
+   */
+  getEmitterAudioContext() {
+    if (!this.emitterAudioContext) {
+      this.emitterAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (this.emitterAudioContext.state === 'suspended') {
+      this.emitterAudioContext.resume().catch(error => {
+        this.handleError('Failed to resume emitter audio context', error, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
       });
+    }
+    return this.emitterAudioContext;
+  }
 
-      // Safari needs higher volume and specific audio context handling
-      if (this.isSafari) {
-        this.remoteAudioElement.volume = 1.0;
-        // Connect remote audio to Safari's audio context for proper processing
-        if (this.safariAudioContext && !this.safariUserInteractionNeeded) {
-          try {
-            this.safariRemoteSource = this.safariAudioContext.createMediaStreamSource(stream);
-            this.safariRemoteGain = this.safariAudioContext.createGain();
-            this.safariRemoteGain.gain.value = 2.0; // Volume boost for Safari
-            this.safariRemoteSource.connect(this.safariRemoteGain);
-            this.safariRemoteGain.connect(this.safariAudioContext.destination);
-            this.log('Safari: Connected remote audio to audio context');
-          } catch (error) {
-            this.logError('Safari: Failed to connect remote audio to context', error);
-          }
-        }
-      } else {
-        this.remoteAudioElement.volume = 1.0;
-        this.log('Remote audio volume set', { volume: 1.0 });
+  /**
+   * Handle a binary position packet from another peer
+   */
+  handleIncomingPositionPacket(data) {
+    const packet = this.decodePositionPacket(data);
+    if (packet) {
+      this.applyPositionPacket(packet);
+    }
+  }
+
+  /**
+   * Apply a decoded binary or JSON position packet from another peer
+   */
+  applyPositionPacket(packet) {
+    if (packet.clientId === this.clientId) {
+      return;
+    }
+
+    // Packets without a sequence number can't be ordered and are always applied
+    const sequence = Number.isInteger(packet.sequence) ? packet.sequence : null;
+    // Binary packets carry nanoseconds, JSON messages milliseconds
+    const timestamp = typeof packet.timestamp === 'bigint'
+      ? Number(packet.timestamp / 1000000n)
+      : (Number.isFinite(packet.timestamp) ? packet.timestamp : null);
+
+    // Packets are unordered, so drop any older than the last one applied,
+    // unless the timestamp shows the peer restarted its sequence counter
+    const peer = this.peers.get(packet.clientId);
+    if (peer && sequence !== null && peer.sequence !== null && ((sequence - peer.sequence) | 0) <= 0) {
+      const restarted = timestamp !== null && peer.timestamp !== null &&
+        timestamp - peer.timestamp > POSITION_SEQUENCE_RESET_MS;
+      if (!restarted) {
+        return;
       }
+      this.log('Peer restarted its position sequence', { clientId: packet.clientId, from: peer.sequence, to: sequence });
+    }
 
-      this.log('Attempting to play remote audio');
-      this.remoteAudioElement.play().then(() => {
-        this.log('Remote audio started successfully');
-        // Log audio state after successful play
-        this.log('Audio state after play', {
-          paused: this.remoteAudioElement.paused,
-          currentTime: this.remoteAudioElement.currentTime,
-          duration: this.remoteAudioElement.duration,
-          volume: this.remoteAudioElement.volume,
-          muted: this.remoteAudioElement.muted,
-          readyState: this.remoteAudioElement.readyState,
-          networkState: this.remoteAudioElement.networkState
+    this.setPeerPosition(packet.clientId, packet.position);
+    const updated = this.peers.get(packet.clientId);
+    updated.sequence = sequence;
+    updated.timestamp = timestamp ?? updated.timestamp;
+  }
+
+  /**
+   * Whether a binary message on the video data channel is a position packet rather than a frame
+   */
+  isPositionPacket(data) {
+    return !!data && data.byteLength >= 4 && new DataView(data).getUint32(0, false) === POSITION_PACKET_TYPE;
+  }
+
+  /**
+   * Decode a binary position packet (see encodePositionPacket)
+   */
+  decodePositionPacket(data) {
+    if (!this.isPositionPacket(data) || data.byteLength < 8) {
+      return null;
+    }
+
+    const view = new DataView(data);
+    const clientIDLen = view.getUint32(4, false); // Big endian
+    if (clientIDLen <= 0 || clientIDLen > 1000 || 32 + clientIDLen > data.byteLength) {
+      return null;
+    }
+
+    // Orientation is optional so position-only packets still decode
+    const hasOrientation = 40 + clientIDLen <= data.byteLength;
+
+    return {
+      clientId: new TextDecoder().decode(data.slice(8, 8 + clientIDLen)),
+      timestamp: view.getBigUint64(8 + clientIDLen, false),
+      sequence: view.getUint32(16 + clientIDLen, false),
+      position: {
+        x: view.getFloat32(20 + clientIDLen, false),
+        y: view.getFloat32(24 + clientIDLen, false),
+        z: view.getFloat32(28 + clientIDLen, false),
+        yaw: hasOrientation ? view.getFloat32(32 + clientIDLen, false) : 0,
+        pitch: hasOrientation ? view.getFloat32(36 + clientIDLen, false) : 0
+      }
+    };
+  }
+
+  /**
+   * Encode a position as a binary packet for the video data channel or the audio WebSocket. After the
+   * POSITION_PACKET_TYPE marker it uses the same big-endian header as video frames:
+   * [type u32][clientIdLen u32][clientId][timestamp u64 ns][sequence u32][x f32][y f32][z f32][yaw f32][pitch f32]
+   */
+  encodePositionPacket(pose, clientId = this.clientId) {
+    const clientIDBytes = new TextEncoder().encode(clientId);
+    const clientIDLen = clientIDBytes.length;
+    const timestamp = this.getServerTimeNs();
+
+    const message = new ArrayBuffer(8 + clientIDLen + 8 + 4 + 20);
+    const view = new DataView(message);
+
+    view.setUint32(0, POSITION_PACKET_TYPE, false); // Big endian
+    view.setUint32(4, clientIDLen, false);
+    new Uint8Array(message, 8, clientIDLen).set(clientIDBytes);
+    view.setBigUint64(8 + clientIDLen, timestamp, false);
+    view.setUint32(16 + clientIDLen, this.positionSequence++ >>> 0, false);
+    view.setFloat32(20 + clientIDLen, pose.x, false);
+    view.setFloat32(24 + clientIDLen, pose.y, false);
+    view.setFloat32(28 + clientIDLen, pose.z, false);
+    view.setFloat32(32 + clientIDLen, pose.yaw, false);
+    view.setFloat32(36 + clientIDLen, pose.pitch, false);
+
+    return message;
+  }
+
+  /**
+   * Send a position as a binary packet on the video data channel or the audio
+   * WebSocket. Returns false when neither is open so the caller can fall back to HTTP.
+   */
+  sendRealtimePositionUpdate(position, clientId = this.clientId) {
+    const transport = this.config.positionTransport;
+    if (transport === 'http') {
+      return false;
+    }
+
+    if ((transport === 'auto' || transport === 'datachannel') &&
+        this.videoDataChannel && this.videoDataChannel.readyState === 'open') {
+      try {
+        this.videoDataChannel.send(this.encodePositionPacket(position, clientId));
+        return true;
+      } catch (error) {
+        this.logError('Error sending position via data channel', error);
+      }
+    }
+
+    if ((transport === 'auto' || transport === 'websocket') &&
+        this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN) {
+      try {
+        this.audioWsConnection.send(this.encodePositionPacket(position, clientId));
+        return true;
+      } catch (error) {
+        this.logError('Error sending position via audio WebSocket', error);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * POST a position to the server's /update-position endpoint, retrying on failure
+   */
+  async sendHttpPositionUpdate(position, clientId = this.clientId) {
+    const url = `${this.getHttpServerUrl()}/update-position?client_id=${encodeURIComponent(clientId)}`;
+    const attempts = Math.max(1, this.config.positionRetryAttempts);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        // Retry a 401 with a fresh token in case ours expired
+        const token = await this.resolveAuthToken({ forceRefresh: lastError?.code === ERROR_CODES.AUTH_UNAUTHORIZED });
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          },
+          body: JSON.stringify(position)
         });
-      }).catch(e => {
-        this.log('Audio autoplay blocked, adding click handler', { error: e.message });
-        // Add click handler to enable audio
-        const enableAudio = async () => {
-          try {
-            // Resume Safari audio context if needed
-            if (this.isSafari && this.safariAudioContext && this.safariAudioContext.state === 'suspended') {
-              this.log('Resuming Safari audio context during user interaction');
-              await this.safariAudioContext.resume();
-              this.safariUserInteractionNeeded = false;
-            }
 
-            // Try to play the audio
-            await this.remoteAudioElement.play();
-            this.log('Audio enabled after user interaction');
+        if (response.status === 401 || response.status === 403) {
+          throw this.createAuthError(response.status, `Position update rejected with HTTP ${response.status}`);
+        }
+        if (!response.ok) {
+          throw new ServerError(`Position update rejected with HTTP ${response.status}`, { recoverable: response.status >= 500 });
+        }
 
-            // Remove the event listener
-            document.removeEventListener('click', enableAudio);
-            document.removeEventListener('touchstart', enableAudio);
-            document.removeEventListener('keydown', enableAudio);
-          } catch (err) {
-            this.logError('Failed to enable audio after user interaction', err);
-          }
-        };
+        // The server may acknowledge with JSON or an empty/plain-text body
+        const text = await response.text();
+        try {
+          return text ? JSON.parse(text) : null;
+        } catch {
+          return text;
+        }
+      } catch (error) {
+        lastError = error;
+        this.log('Position update failed', { attempt, attempts, error: error.message });
+
+        // A newer position supersedes this one, so stop retrying a stale update.
+        // Retrying a forbidden request or a missing token won't help either.
+        if (this.positionUpdates.get(clientId)?.pending || attempt === attempts ||
+          error.code === ERROR_CODES.AUTH_FORBIDDEN || error.code === ERROR_CODES.AUTH_TOKEN_UNAVAILABLE) {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.config.positionRetryDelay * attempt));
+      }
+    }
 
-        // Add multiple event listeners for better user interaction detection
-        document.addEventListener('click', enableAudio, { once: true });
-        document.addEventListener('touchstart', enableAudio, { once: true });
-        document.addEventListener('keydown', enableAudio, { once: true });
-      });
+    throw lastError;
+  }
 
-      // Add comprehensive event listeners for debugging
-      this.remoteAudioElement.addEventListener('loadstart', () => {
-        this.log('Audio loadstart event');
-      });
-      this.remoteAudioElement.addEventListener('durationchange', () => {
-        this.log('Audio durationchange event', { duration: this.remoteAudioElement.duration });
+  /**
+   * Stop any scheduled position update, for one clientId or all of them
+   */
+  cancelPositionUpdates(clientId = null) {
+    const clientIds = clientId === null ? [...this.positionUpdates.keys()] : [clientId];
+    clientIds.forEach(id => {
+      const update = this.positionUpdates.get(id);
+      if (update) {
+        clearTimeout(update.timer);
+        this.positionUpdates.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Get the effective distance attenuation settings
+   */
+  getAttenuation() {
+    const { model, refDistance, rolloffFactor, maxHearingRange } = this.config.spatialAudio;
+    return {
+      model,
+      refDistance,
+      rolloffFactor,
+      maxHearingRange: maxHearingRange ?? this.config.maxHearingRange
+    };
+  }
+
+  /**
+   * Change the distance attenuation curve at runtime. If audio is active the
+   * new settings are sent to the server by renegotiating the audio connection.
+   */
+  async setAttenuation(options = {}) {
+    const next = { ...this.getAttenuation(), ...options };
+
+    if (!ATTENUATION_MODELS.includes(next.model)) {
+      throw new ValidationError(`Attenuation model must be one of: ${ATTENUATION_MODELS.join(', ')}`);
+    }
+    for (const key of ['refDistance', 'rolloffFactor', 'maxHearingRange']) {
+      if (typeof next[key] !== 'number' || !Number.isFinite(next[key]) || next[key] < 0) {
+        throw new ValidationError(`Attenuation ${key} must be a non-negative number`);
+      }
+    }
+    if (next.refDistance <= 0 || next.maxHearingRange <= next.refDistance) {
+      throw new ValidationError('Attenuation requires 0 < refDistance < maxHearingRange');
+    }
+
+    this.config.spatialAudio = next;
+    this.config.maxHearingRange = next.maxHearingRange;
+    this.log('Attenuation updated', next);
+    this.updatePeerProximity();
+
+    // Renegotiate so the server picks up the new curve
+    if (this.isSendingAudio || this.isListeningAudio) {
+      await this.createAudioOffer();
+    }
+
+    return this.getAttenuation();
+  }
+
+  /**
+   * Gain (0-1) the current attenuation curve gives a source at the given distance.
+   * Mirrors the Web Audio PannerNode distance models.
+   */
+  getAttenuationGain(distance) {
+    const { model, refDistance, rolloffFactor, maxHearingRange } = this.getAttenuation();
+    if (distance > maxHearingRange) {
+      return 0;
+    }
+
+    const d = Math.max(distance, refDistance);
+    switch (model) {
+      case 'inverse':
+        return refDistance / (refDistance + rolloffFactor * (d - refDistance));
+      case 'exponential':
+        return Math.pow(d / refDistance, -rolloffFactor);
+      case 'linear':
+      default:
+        return Math.max(0, 1 - rolloffFactor * (d - refDistance) / (maxHearingRange - refDistance));
+    }
+  }
+
+  /**
+   * Create and send audio offer with correct intent
+   */
+  async createAudioOffer({ iceRestart = false } = {}) {
+    if (!this.audioPeerConnection || !this.audioWsConnection || this.audioWsConnection.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    try {
+      // Transceiver directions say what we send and receive, and a
+      // unified offer describes both media legs at once
+      await this.sendOffer('audio', { iceRestart }, {
+        ...this.getAudioOfferFields(),
+        ...(this.isUnifiedSignaling() ? this.getVideoOfferFields() : {})
       });
-      this.remoteAudioElement.addEventListener('loadedmetadata', () => {
-        this.log('Audio loadedmetadata event', {
-          duration: this.remoteAudioElement.duration,
-          videoWidth: this.remoteAudioElement.videoWidth,
-          videoHeight: this.remoteAudioElement.videoHeight
-        });
+    } catch (error) {
+      this.handleError('Failed to send audio offer', error, ERROR_CODES.SIGNALING_FAILED);
+    }
+  }
+
+  /**
+   * Extra fields describing our audio state in an offer
+   */
+  getAudioOfferFields() {
+    return {
+      spatialAudio: this.getAttenuation(),
+      audioCone: this.getAudioCone(),
+      zones: this.getZones(),
+      channels: this.getChannels(),
+      transmitChannel: this.isTransmittingOnChannel() ? this.transmitChannel : null,
+      spectator: this.config.spectator,
+      listenerPose: this.listenerPose,
+      emitters: this.getEmitterDescriptors()
+    };
+  }
+
+  /**
+   * Extra fields describing our video state in an offer
+   */
+  getVideoOfferFields() {
+    return {
+      videoTiers: this.isSendingVideo ? this.getVideoTiers() : [],
+      zones: this.getZones(),
+      spectator: this.config.spectator,
+      viewerPose: this.viewerPose
+    };
+  }
+
+  /**
+   * Whether audio and video share one signaling socket and peer connection
+   */
+  isUnifiedSignaling() {
+    return this.config.signalingMode === 'unified';
+  }
+
+  /**
+   * Check if video connection is ready
+   */
+  isVideoConnectionReady() {
+    return this.videoWsConnection && this.videoWsConnection.readyState === WebSocket.OPEN &&
+           this.videoPeerConnection && this.videoDataChannel && this.videoDataChannel.readyState === 'open';
+  }
+
+  /**
+   * Send video offer
+   */
+  async sendVideoOffer() {
+    if (!this.videoPeerConnection || !this.videoWsConnection || this.videoWsConnection.readyState !== WebSocket.OPEN) {
+      this.logError('Video connection not ready', {
+        hasPeerConnection: !!this.videoPeerConnection,
+        hasWsConnection: !!this.videoWsConnection,
+        wsState: this.videoWsConnection?.readyState
       });
-      this.remoteAudioElement.addEventListener('loadeddata', () => {
-        this.log('Audio loadeddata event');
+      return;
+    }
+
+    try {
+      console.log('Creating video data channel with clientId:', this.clientId);
+
+      // Create data channel first to ensure it's included in the offer
+      const ordered = false;
+      this.videoDataChannelPending = true;
+      const dataChannel = this.videoPeerConnection.createDataChannel('video', {
+        ordered: ordered,
+        maxRetransmits: 0 // Prevent retransmissions for real-time video
       });
-      this.remoteAudioElement.addEventListener('progress', () => {
-        this.log('Audio progress event');
-      });
-      this.remoteAudioElement.addEventListener('canplay', () => {
-        this.log('Audio canplay event');
+
+      console.log('Data channel created, label:', dataChannel.label, 'ready state:', dataChannel.readyState);
+
+      // Set up data channel event handlers
+      dataChannel.onopen = () => {
+        console.log('👉 Video data channel opened!');
+        this.videoDataChannel = dataChannel;
+        this.videoDataChannelPending = false;
+        this.syncLegStates('Video data channel opened');
+      };
+
+      dataChannel.onclose = () => {
+        console.log('Video data channel closed');
+        this.videoDataChannel = null;
+        this.videoDataChannelPending = false;
+        this.syncLegStates('Video data channel closed');
+      };
+
+      dataChannel.onerror = (event) => {
+        this.handleError('Video data channel error', new ConnectionError(ERROR_CODES.DATACHANNEL_FAILED, 'Video data channel error', {
+          recoverable: true,
+          cause: event.error
+        }));
+      };
+
+      dataChannel.onmessage = (event) => {
+        if (event.data instanceof ArrayBuffer) {
+          this.handleVideoChannelData(event.data);
+        } else if (event.data instanceof Blob) {
+          // Firefox sends Blob, convert to ArrayBuffer
+          const reader = new FileReader();
+          reader.onload = () => {
+            this.handleVideoChannelData(reader.result);
+          };
+          reader.onerror = (error) => {
+            this.handleError('Error converting Blob to ArrayBuffer', reader.error || error, ERROR_CODES.DATACHANNEL_FAILED, { recoverable: true });
+          };
+          reader.readAsArrayBuffer(event.data);
+        } else if (typeof event.data === 'string') {
+          // Handle text messages (video-add, video-remove)
+          try {
+            const message = JSON.parse(event.data);
+            if (this.handlePeerMessage(message) || this.handleZoneMessage(message)) {
+              return;
+            }
+            switch (message.type) {
+              case 'video-add':
+                this.log('😊 Video source entered range', { clientId: message.clientId, tiers: message.tiers });
+                if (Array.isArray(message.tiers) && message.tiers.length > 0) {
+                  this.videoSourceTiers.set(message.clientId, message.tiers
+                    .map(({ width, height }) => ({ width, height }))
+                    .sort((a, b) => b.width * b.height - a.width * a.height));
+                }
+                this.updateVideoTierRequests();
+                // The video will appear in the next frame update
+                break;
+              case 'video-tier-demand':
+                this.setDemandedVideoTiers(message.tiers);
+                break;
+              case 'video-remove':
+                this.log('😩 Video source left range', { clientId: message.clientId });
+                // Remove the video from display immediately
+                const videoData = this.receivedVideos.get(message.clientId);
+                if (videoData) {
+                  URL.revokeObjectURL(videoData.url);
+                }
+                this.receivedVideos.delete(message.clientId);
+                this.videoReceiveStats.delete(message.clientId);
+                this.videoSourceTiers.delete(message.clientId);
+                this.requestedVideoTiers.delete(message.clientId);
+                this.emit('onVideoSourceRemove', message.clientId);
+                break;
+              default:
+                this.log('Unknown text message', { message });
+            }
+          } catch (error) {
+            this.handleError('Error parsing video data channel message', error, ERROR_CODES.SIGNALING_FAILED, { recoverable: true });
+          }
+        }
+      };
+
+      // In unified mode the shared offer carries the data channels alongside audio
+      if (this.isUnifiedSignaling()) {
+        await this.createAudioOffer();
+        return;
+      }
+
+      await this.sendVideoSessionOffer();
+    } catch (error) {
+      this.handleError('Failed to send video offer', error, ERROR_CODES.SIGNALING_FAILED);
+    }
+  }
+
+  /**
+   * Create a video offer for the current data channels and send it to the server
+   */
+  async sendVideoSessionOffer({ iceRestart = false } = {}) {
+    console.log('Sending video offer via WebSocket');
+    await this.sendOffer('video', { iceRestart }, this.getVideoOfferFields());
+  }
+
+  /**
+   * Disconnect from the server
+   */
+  disconnect() {
+    this.log('Disconnecting from server');
+    this.cancelReconnect();
+    this.stopNetworkQualityMonitor();
+    Object.keys(this.heartbeats).forEach(socket => this.stopHeartbeat(socket));
+    clearInterval(this.clockSyncTimer);
+    this.clockSyncTimer = null;
+    this.latency = {};
+    this.stopSendingAudio();
+    this.stopListeningAudio();
+    this.stopSendingVideo();
+    this.stopViewingVideo();
+
+    this.cancelPositionUpdates();
+    this.emitters.forEach(emitter => this.stopEmitterSource(emitter));
+    this.emitters.clear();
+    if (this.emitterAudioContext) {
+      this.emitterAudioContext.close();
+      this.emitterAudioContext = null;
+    }
+    this.peers.clear();
+    this.peerZones.clear();
+
+    // Safari-specific cleanup
+    this.cleanupSafariAudio(true);
+
+    if (this.controlWsConnection) {
+      const controlWs = this.controlWsConnection;
+      this.controlWsConnection = null;
+      controlWs.close();
+      this.log('Control WebSocket connection closed');
+    }
+    this.sessionInfo = null;
+    clearTimeout(this.iceServersRefreshTimer);
+    this.iceServersRefreshTimer = null;
+    this.providedIceServers = null;
+    this.iceServersExpiresAt = null;
+    this.iceServersRetryDelay = ICE_SERVERS_MIN_REFRESH_DELAY;
+
+    if (this.audioWsConnection) {
+      this.audioWsConnection.close();
+      this.audioWsConnection = null;
+      this.log('Audio WebSocket connection closed');
+    }
+
+    if (this.videoWsConnection) {
+      this.videoWsConnection.close();
+      this.videoWsConnection = null;
+      this.log('Video WebSocket connection closed');
+    }
+
+    if (this.audioPeerConnection) {
+      this.audioPeerConnection.close();
+      this.audioPeerConnection = null;
+      this.log('Audio peer connection closed');
+    }
+
+    if (this.videoPeerConnection) {
+      this.videoPeerConnection.close();
+      this.videoPeerConnection = null;
+      this.log('Video peer connection closed');
+    }
+
+    // Clear received videos
+    this.receivedVideos.forEach(videoData => {
+      URL.revokeObjectURL(videoData.url);
+    });
+    this.receivedVideos.clear();
+    this.log('Cleared all received videos');
+
+    this.isConnected = false;
+    Object.keys(MEDIA_LEG_FLAGS).forEach(leg => this.setLegState(leg, 'closed', 'Disconnected'));
+    this.log('Disconnected from server');
+    this.emit('onDisconnect');
+  }
+
+  /**
+   * Start sending audio
+   */
+  async startSendingAudio() {
+    this.log('Starting audio sending', {
+      isSendingAudio: this.isSendingAudio,
+      hasLocalStream: !!this.localStream
+    });
+
+    if (this.isSendingAudio) {
+      this.log('Already sending audio');
+      return;
+    }
+
+    try {
+      if (this.config.spectator) {
+        throw new TankRTCError(ERROR_CODES.INVALID_STATE, 'Cannot send audio in spectator mode');
+      }
+
+      this.log('Requesting microphone access');
+      this.localStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          echoCancellation: true,
+          noiseSuppression: true,
+          autoGainControl: true
+        }
+      }).catch(error => {
+        throw this.createDeviceError(error, 'Microphone');
       });
-      this.remoteAudioElement.addEventListener('canplaythrough', () => {
-        this.log('Audio canplaythrough event');
+
+      this.isSendingAudio = true;
+      this.setLegState('audio-send', 'connecting', 'Started sending audio');
+
+      // Reuse the audio connection if it is up, so listening carries on uninterrupted
+      await this.ensureAudioConnection();
+
+      // Send the microphone track and renegotiate
+      await this.updateAudioTransceiver();
+      this.addEmitterTracks();
+      await this.createAudioOffer();
+
+      this.startNetworkQualityMonitor();
+      this.log('Audio sending started successfully');
+      this.emit('onAudioStateChange', 'sending', true);
+    } catch (error) {
+      this.isSendingAudio = false;
+      this.syncLegStates('Failed to start sending audio');
+      throw this.handleError('Failed to start sending audio', error);
+    }
+  }
+
+  /**
+   * Stop sending audio
+   */
+  stopSendingAudio() {
+    // Notify server that we're stopping sending (primary cleanup)
+    if (this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN && this.clientId) {
+      this.audioWsConnection.send(JSON.stringify({
+        type: 'stop-sending',
+        clientId: this.clientId
+      }));
+    }
+
+    if (this.localStream) {
+      this.localStream.getTracks().forEach(track => track.stop());
+      this.localStream = null;
+    }
+
+    this.isSendingAudio = false;
+    this.syncLegStates('Stopped sending audio');
+    this.renegotiateAudio();
+    this.isPushToTalkActive = false;
+    if (this.transmitChannel) {
+      this.sendChannelTransmitState();
+    }
+    this.cleanupSafariAudio();
+
+    this.log('Audio sending stopped');
+    this.emit('onAudioStateChange', 'sending', false);
+  }
+
+  /**
+   * Start listening to audio
+   */
+  async startListeningAudio({ listenerPose } = {}) {
+    if (listenerPose !== undefined) {
+      this.setListenerPose(listenerPose);
+    }
+
+    if (this.isListeningAudio) {
+      this.log('Already listening to audio, skipping');
+      return;
+    }
+
+    try {
+      if (this.isSafari) {
+        this.log('Initializing Safari audio context');
+        await this.initializeSafariAudioContext();
+      }
+
+      this.isListeningAudio = true;
+      this.setLegState('audio-receive', 'connecting', 'Started listening to audio');
+
+      // Reuse the audio connection if it is up, so sending carries on uninterrupted
+      await this.ensureAudioConnection();
+
+      // Start receiving on our transceiver and renegotiate
+      await this.updateAudioTransceiver();
+      this.addEmitterTracks();
+      await this.createAudioOffer();
+
+      this.startNetworkQualityMonitor();
+      this.log('Audio listening started successfully');
+      this.emit('onAudioStateChange', 'listening', true);
+
+      // Note: setupRemoteAudio will be called automatically when audio tracks are received
+      this.log('Audio listening setup complete - waiting for audio tracks');
+    } catch (error) {
+      this.isListeningAudio = false;
+      this.syncLegStates('Failed to start listening to audio');
+      this.handleError('Failed to start listening audio', error);
+    }
+  }
+
+  /**
+   * Stop listening to audio
+   */
+  stopListeningAudio() {
+    this.isListeningAudio = false;
+    this.syncLegStates('Stopped listening to audio');
+    this.renegotiateAudio();
+    this.emit('onAudioStateChange', 'listening', false);
+
+    if (this.remoteAudioElement) {
+      this.remoteAudioElement.pause();
+      this.remoteAudioElement.srcObject = null;
+      this.remoteAudioElement = null;
+    }
+    this.cleanupChannelAudio();
+    this.log('Audio listening stopped');
+    this.cleanupSafariAudio();
+  }
+
+  /**
+   * Start sending video
+   */
+  async startSendingVideo() {
+    this.log('🟡 Starting webcam...');
+
+    if (this.isSendingVideo) {
+      this.log('Already sending video, skipping');
+      return;
+    }
+
+    try {
+      if (this.config.spectator) {
+        throw new TankRTCError(ERROR_CODES.INVALID_STATE, 'Cannot send video in spectator mode');
+      }
+
+      // Capture at the largest tier; smaller tiers are scaled down from it
+      const [largestTier] = this.getVideoTiers();
+
+      this.log('Requesting camera access');
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          width: { ideal: largestTier.width },
+          height: { ideal: largestTier.height },
+          frameRate: { ideal: this.config.videoFrameRate }
+        }
+      }).catch(error => {
+        throw this.createDeviceError(error, 'Camera');
       });
-      this.remoteAudioElement.addEventListener('play', () => {
-        this.log('Audio play event');
+      this.log('Camera access granted', {
+        tracks: stream.getTracks().length,
+        trackKinds: stream.getTracks().map(t => t.kind)
       });
-      this.remoteAudioElement.addEventListener('playing', () => {
-        this.log('Audio playing event');
+
+      // Set up one canvas per published tier for video processing
+      this.log('Creating video canvases', { tiers: this.getVideoTiers() });
+      this.videoTierCanvases = this.getVideoTiers().map(({ width, height }) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return { width, height, canvas, context: canvas.getContext('2d') };
       });
-      this.remoteAudioElement.addEventListener('waiting', () => {
-        this.log('Audio waiting event');
-      });
-      this.remoteAudioElement.addEventListener('seeking', () => {
-        this.log('Audio seeking event');
-      });
-      this.remoteAudioElement.addEventListener('seeked', () => {
-        this.log('Audio seeked event');
-      });
-      this.remoteAudioElement.addEventListener('timeupdate', () => {
-      });
-      this.remoteAudioElement.addEventListener('ended', () => {
-        this.log('Audio ended event');
-      });
-      this.remoteAudioElement.addEventListener('ratechange', () => {
-        this.log('Audio ratechange event', { playbackRate: this.remoteAudioElement.playbackRate });
-      });
-      this.remoteAudioElement.addEventListener('volumechange', () => {
-        this.log('Audio volumechange event', { volume: this.remoteAudioElement.volume });
-      });
-      this.remoteAudioElement.addEventListener('suspend', () => {
-        this.log('Audio suspend event');
-      });
-      this.remoteAudioElement.addEventListener('abort', () => {
-        this.log('Audio abort event');
+
+      // Create video element to draw from (like index.html)
+      this.log('Creating video element');
+      this.videoElement = document.createElement('video');
+      this.videoElement.srcObject = stream;
+      this.videoElement.autoplay = true;
+      this.videoElement.muted = true;
+      this.videoElement.playsInline = true; // Important for Chrome
+
+      // Store reference for cleanup
+      window.videoElement = this.videoElement;
+
+      // Safari-specific fix: temporarily attach to DOM to ensure video works
+      if (this.isSafari) {
+        this.log('Adding video element to DOM for Safari');
+        this.videoElement.style.position = 'absolute';
+        this.videoElement.style.left = '-9999px';
+        this.videoElement.style.top = '-9999px';
+        this.videoElement.style.width = '1px';
+        this.videoElement.style.height = '1px';
+        document.body.appendChild(this.videoElement);
+      }
+
+      // Wait for video to be ready.
+      this.log('Waiting for video to be ready');
+      await new Promise((resolve) => {
+        this.videoElement.onloadedmetadata = () => {
+          // Additional wait for video to actually start playing
+          this.videoElement.oncanplay = () => {
+            // Force a small delay to ensure video is fully ready
+            setTimeout(resolve, 100);
+          };
+          this.videoElement.play().then(() => {
+            // Video play started successfully
+          }).catch((error) => {
+            // If autoplay fails, still resolve after a delay
+            setTimeout(resolve, 200);
+          });
+        };
       });
-      this.remoteAudioElement.addEventListener('error', (e) => {
-        this.logError('Audio error event', e);
-        this.log('Audio error details', {
-          error: this.remoteAudioElement.error,
-          errorCode: this.remoteAudioElement.error ? this.remoteAudioElement.error.code : null,
-          errorMessage: this.remoteAudioElement.error ? this.remoteAudioElement.error.message : null
+
+      // Safari-specific: Additional wait to ensure video is actually streaming
+      if (this.isSafari) {
+        this.log('Additional Safari video readiness check');
+        await new Promise((resolve) => {
+          let checkCount = 0;
+          const checkVideo = () => {
+            if (this.videoElement.videoWidth > 0 && this.videoElement.videoHeight > 0 && !this.videoElement.paused) {
+              resolve();
+            } else if (checkCount < 50) { // 5 seconds max
+              checkCount++;
+              setTimeout(checkVideo, 100);
+            } else {
+              resolve();
+            }
+          };
+          checkVideo();
         });
-      });
-      this.remoteAudioElement.addEventListener('stalled', () => {
-        this.log('Audio stalled event');
-      });
-      this.remoteAudioElement.addEventListener('emptied', () => {
-        this.log('Audio emptied event');
-      });
+      }
 
-      // Add periodic audio state logging to see if audio is progressing
-      const audioStateInterval = setInterval(() => {
-        if (this.remoteAudioElement && !this.remoteAudioElement.paused) {
-          /*this.log('Audio state check', {
-            currentTime: this.remoteAudioElement.currentTime,
-            duration: this.remoteAudioElement.duration,
-            volume: this.remoteAudioElement.volume,
-            muted: this.remoteAudioElement.muted,
-            readyState: this.remoteAudioElement.readyState,
-            networkState: this.remoteAudioElement.networkState,
-            hasSrcObject: !!this.remoteAudioElement.srcObject,
-            srcObjectTracks: this.remoteAudioElement.srcObject ? this.remoteAudioElement.srcObject.getTracks().length : 0
-          });*/
-        } else {
-          clearInterval(audioStateInterval);
+      this.isSendingVideo = true;
+      this.videoSendStats = this.createVideoSendStats();
+      this.setLegState('video-send', 'connecting', 'Started sending video');
+
+      // Re-establish video WebSocket connection only (independent of audio)
+      await this.initializeVideoConnection();
+
+      // Wait for data channel to be ready (only if not already ready)
+      if (!this.isVideoConnectionReady()) {
+        this.log('Waiting for video data channel to open');
+        let attempts = 0;
+        const maxAttempts = 50; // 5 seconds
+        while (!this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
+          await new Promise(resolve => setTimeout(resolve, 100));
+          attempts++;
+          if (attempts >= maxAttempts) {
+            throw new ConnectionError(ERROR_CODES.DATACHANNEL_TIMEOUT, 'Video data channel failed to open within 5 seconds', { recoverable: true });
+          }
         }
-      }, 1000); // Log every second
-    }, 100); // Small delay to ensure audio element is ready
+      }
+
+      // Start video capture loop
+      this.log('Starting video frame sending loop');
+      this.videoInterval = setInterval(() => {
+        this.sendVideoFrame();
+      }, 1000 / this.config.videoFrameRate);
+
+      this.startNetworkQualityMonitor();
+      this.log('🟢 Video sending started successfully');
+      this.emit('onVideoStateChange', 'sending', true);
+
+    } catch (error) {
+      this.isSendingVideo = false;
+      this.syncLegStates('Failed to start sending video');
+      this.handleError('Failed to start sending video', error);
+    }
+  }
+
+  /**
+   * Stop sending video
+   */
+  stopSendingVideo() {
+    this.log('🟡 Stopping video sending');
+
+    // Notify server that we're stopping sending video
+    if (this.videoDataChannel && this.videoDataChannel.readyState === 'open') {
+      this.videoDataChannel.send(JSON.stringify({
+          type: 'stop-video'
+      }));
+    }
+
+    if (this.videoInterval) {
+      this.log('Clearing video interval');
+      clearInterval(this.videoInterval);
+      this.videoInterval = null;
+    }
+
+    if (this.videoElement) {
+      this.log('Stopping video tracks');
+      if (this.videoElement.srcObject) {
+        this.videoElement.srcObject.getTracks().forEach(track => track.stop());
+      }
+      if (this.isSafari && this.videoElement.parentNode) {
+        this.log('Removing video element from DOM for Safari');
+        this.videoElement.parentNode.removeChild(this.videoElement);
+      }
+      this.videoElement = null;
+    }
+
+    this.videoTierCanvases = [];
+    this.demandedVideoTiers = null;
+    this.isSendingVideo = false;
+
+    // Only close video connection if both sending and viewing are stopped
+    this.closeVideoConnectionIfIdle();
+    this.syncLegStates('Stopped sending video');
+
+    this.log('🔴 Video sending stopped');
+    this.emit('onVideoStateChange', 'sending', false);
+  }
+
+  /**
+   * Start viewing video
+   */
+  async startViewingVideo({ viewerPose } = {}) {
+    this.log('Starting video viewing', {
+      isViewingVideo: this.isViewingVideo,
+      hasVideoDataChannel: !!this.videoDataChannel
+    });
+
+    if (viewerPose !== undefined) {
+      this.setViewerPose(viewerPose);
+    }
+
+    if (this.isViewingVideo) {
+      this.log('Already viewing video, skipping');
+      return;
+    }
+
+    try {
+      this.isViewingVideo = true;
+      this.videoReceiveStats.clear();
+      this.malformedVideoFrames = 0;
+      this.setLegState('video-receive', 'connecting', 'Started viewing video');
+
+      // Re-establish video WebSocket connection only (independent of audio)
+      await this.initializeVideoConnection();
+
+      // Wait for data channel to be ready (only if not already ready)
+      if (!this.isVideoConnectionReady()) {
+        this.log('Waiting for video data channel to open');
+        let attempts = 0;
+        const maxAttempts = 50; // 5 seconds
+        while (!this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
+          await new Promise(resolve => setTimeout(resolve, 100));
+          attempts++;
+          if (attempts >= maxAttempts) {
+            throw new ConnectionError(ERROR_CODES.DATACHANNEL_TIMEOUT, 'Video data channel failed to open within 5 seconds', { recoverable: true });
+          }
+        }
+      }
+
+      // Start cleanup interval for old video entries (like index.html)
+      this.videoCleanupInterval = setInterval(() => {
+        this.cleanupOldVideos();
+      }, 1000); // Clean up every second
+
+      this.startNetworkQualityMonitor();
+      this.log('🟢 Video viewing started');
+      this.emit('onVideoStateChange', 'viewing', true);
+    } catch (error) {
+      this.isViewingVideo = false;
+      if (this.videoCleanupInterval) {
+        clearInterval(this.videoCleanupInterval);
+        this.videoCleanupInterval = null;
+      }
+      this.syncLegStates('Failed to start viewing video');
+      this.handleError('Failed to start viewing video', error);
+    }
+  }
+
+  /**
+   * Clean up old video entries to prevent memory leaks
+   */
+  cleanupOldVideos() {
+    const currentTime = this.getServerTimeNs();
+    const cleanupThresholdMs = 2000; // Clean up entries older than 2 seconds
+
+    for (const [clientID, videoData] of this.receivedVideos.entries()) {
+      const frameAgeMs = Number(currentTime - videoData.timestamp) / 1000000;
+      if (frameAgeMs > cleanupThresholdMs) {
+        // Revoke blob URL to free memory
+        URL.revokeObjectURL(videoData.url);
+        this.receivedVideos.delete(clientID);
+        this.log('Cleaned up old video entry', { clientID, frameAgeMs });
+      }
+    }
+
+    // Forget stats of sources we haven't heard from in a while, including ones whose frames were all dropped
+    const now = Date.now();
+    for (const [clientID, source] of this.videoReceiveStats.entries()) {
+      if (!this.receivedVideos.has(clientID) && now - source.lastFrameAt > cleanupThresholdMs) {
+        this.videoReceiveStats.delete(clientID);
+      }
+    }
+  }
+
+  /**
+   * Stop viewing video
+   */
+  stopViewingVideo() {
+    this.log('🟡 Stopping video viewing');
+
+    this.isViewingVideo = false;
+    this.syncLegStates('Stopped viewing video');
+
+    // Stop cleanup interval
+    if (this.videoCleanupInterval) {
+      this.log('Clearing video cleanup interval');
+      clearInterval(this.videoCleanupInterval);
+      this.videoCleanupInterval = null;
+    }
+
+    // Notify UI to remove all video elements before clearing data
+    this.log('Notifying UI to remove all video elements');
+    this.receivedVideos.forEach((videoData, clientId) => {
+      this.emit('onVideoSourceRemove', clientId);
+    });
+
+    // Clear received videos
+    this.receivedVideos.forEach(videoData => {
+      URL.revokeObjectURL(videoData.url);
+    });
+    this.receivedVideos.clear();
+    this.videoSourceTiers.clear();
+    this.requestedVideoTiers.clear();
+    this.log('Cleared all received videos');
+
+    // Only close video connection if both sending and viewing are stopped
+    this.closeVideoConnectionIfIdle();
+
+    this.log('🔴 Video viewing stopped');
+    this.emit('onVideoStateChange', 'viewing', false);
+  }
+
+  /**
+   * Handle audio WebSocket messages
+   */
+  async handleAudioMessage(event) {
+    // The only binary messages on the audio socket are position packets
+    if (typeof event.data !== 'string') {
+      if (this.isPositionPacket(event.data)) {
+        this.handleIncomingPositionPacket(event.data);
+      } else {
+        this.log('Ignoring unknown binary audio message', { bytes: event.data?.byteLength });
+      }
+      return;
+    }
+
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === 'pong') {
+        this.handlePong('audio', message);
+        return;
+      }
+      if (message.type === 'time-sync') {
+        this.handleTimeSync(message);
+        return;
+      }
+      if (this.handlePeerMessage(message) || this.handleZoneMessage(message)) {
+        return;
+      }
+      this.log('Received audio message', { type: message.type });
+
+      if (!(await this.handleNegotiationMessage('audio', message))) {
+        this.log('Unknown audio message type', { type: message.type });
+      }
+    } catch (error) {
+      this.handleError('Audio message handling error', error, ERROR_CODES.SIGNALING_FAILED);
+    }
+  }
+
+  /**
+   * Handle video message
+   */
+  handleVideoMessage(message) {
+    if (this.handleZoneMessage(message)) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'offer':
+      case 'answer':
+      case 'ice-candidate':
+        console.log('Received video', message.type);
+        this.handleNegotiationMessage('video', message);
+        break;
+      case 'video-tier-demand':
+        this.setDemandedVideoTiers(message.tiers);
+        break;
+      case 'pong':
+        this.handlePong('video', message);
+        break;
+      case 'time-sync':
+        this.handleTimeSync(message);
+        break;
+      case 'error':
+        this.handleError('Video server error', new ServerError(message.message || 'Video server error', { serverCode: message.code }));
+        break;
+      default:
+        console.log('Unknown video message type:', message.type);
+    }
+  }
+
+  /**
+   * Get the offer/answer state of a media leg's peer connection. The state is
+   * reset whenever the leg gets a new peer connection.
+   */
+  getNegotiation(leg) {
+    const peerConnection = leg === 'audio' ? this.audioPeerConnection : this.videoPeerConnection;
+    let negotiation = this.negotiations.get(leg);
+    if (!negotiation || negotiation.peerConnection !== peerConnection) {
+      negotiation = {
+        peerConnection,
+        makingOffer: false, // Between createOffer and sending it
+        pendingOffer: null, // Offer options to send once the current exchange completes
+        pendingCandidates: [] // Remote candidates that arrived before the remote description
+      };
+      this.negotiations.set(leg, negotiation);
+    }
+    return negotiation;
+  }
+
+  /**
+   * Create an offer on a media leg and send it with the given extra fields.
+   * An offer requested mid-exchange is sent once the exchange completes.
+   */
+  async sendOffer(leg, offerOptions, fields) {
+    const negotiation = this.getNegotiation(leg);
+    const { peerConnection } = negotiation;
+    const ws = leg === 'audio' ? this.audioWsConnection : this.videoWsConnection;
+
+    if (negotiation.makingOffer || peerConnection.signalingState !== 'stable') {
+      this.log('Deferring offer until the current exchange completes', { leg, signalingState: peerConnection.signalingState });
+      negotiation.pendingOffer = { iceRestart: !!offerOptions.iceRestart || !!negotiation.pendingOffer?.iceRestart };
+      return;
+    }
+
+    negotiation.makingOffer = true;
+    try {
+      const offer = await peerConnection.createOffer(offerOptions);
+      await peerConnection.setLocalDescription(offer);
+      this.log('Sending offer', { leg, sdpLength: offer.sdp.length });
+      ws.send(JSON.stringify({
+        type: 'offer',
+        clientId: this.clientId,
+        sdp: offer.sdp,
+        ...fields,
+        ...(await this.getAuthFields())
+      }));
+    } finally {
+      negotiation.makingOffer = false;
+      // An offer deferred while this one was being made, or rolled back by a collision
+      this.sendPendingOffer(leg, negotiation).catch(error => {
+        this.handleError(`Failed to send deferred ${leg} offer`, error, ERROR_CODES.SIGNALING_FAILED, { recoverable: true });
+      });
+    }
+  }
+
+  /**
+   * Handle offer, answer and ICE candidate messages for a media leg. We are the
+   * polite peer: a server offer that collides with ours wins, and ours is sent
+   * again afterwards. Returns whether the message was a negotiation message.
+   */
+  async handleNegotiationMessage(leg, message) {
+    if (!['offer', 'answer', 'ice-candidate'].includes(message.type)) {
+      return false;
+    }
+
+    const negotiation = this.getNegotiation(leg);
+    const { peerConnection } = negotiation;
+    if (!peerConnection) {
+      this.log('Ignoring negotiation message without a peer connection', { leg, type: message.type });
+      return true;
+    }
+
+    try {
+      switch (message.type) {
+        case 'answer':
+          if (peerConnection.signalingState !== 'have-local-offer') {
+            this.log('Ignoring answer without a pending offer', { leg, signalingState: peerConnection.signalingState });
+            break;
+          }
+          await peerConnection.setRemoteDescription({ type: 'answer', sdp: message.sdp });
+          this.log('Remote answer set', { leg });
+          await this.flushPendingCandidates(leg, negotiation);
+          await this.sendPendingOffer(leg, negotiation);
+          break;
+
+        case 'offer': {
+          const collision = negotiation.makingOffer || peerConnection.signalingState !== 'stable';
+          if (collision) {
+            this.log('Offer collision, rolling back our offer', { leg });
+            if (peerConnection.signalingState === 'have-local-offer') {
+              await peerConnection.setLocalDescription({ type: 'rollback' });
+            }
+            negotiation.pendingOffer = negotiation.pendingOffer || { iceRestart: false };
+          }
+          await peerConnection.setRemoteDescription({ type: 'offer', sdp: message.sdp });
+          await this.flushPendingCandidates(leg, negotiation);
+
+          const answer = await peerConnection.createAnswer();
+          await peerConnection.setLocalDescription(answer);
+          const ws = leg === 'audio' ? this.audioWsConnection : this.videoWsConnection;
+          ws?.send(JSON.stringify({
+            type: 'answer',
+            clientId: this.clientId,
+            sdp: answer.sdp,
+            ...(await this.getAuthFields())
+          }));
+          this.log('Answered server offer', { leg });
+          await this.sendPendingOffer(leg, negotiation);
+          break;
+        }
+
+        case 'ice-candidate': {
+          const candidate = typeof message.candidate === 'string' ? JSON.parse(message.candidate) : message.candidate;
+          if (!peerConnection.remoteDescription) {
+            negotiation.pendingCandidates.push(candidate);
+            this.log('Queued early ICE candidate', { leg, queued: negotiation.pendingCandidates.length });
+            break;
+          }
+          await peerConnection.addIceCandidate(candidate);
+          break;
+        }
+      }
+    } catch (error) {
+      this.handleError(`${leg === 'audio' ? 'Audio' : 'Video'} negotiation error`, error, ERROR_CODES.SIGNALING_FAILED);
+    }
+    return true;
+  }
+
+  /**
+   * Add remote ICE candidates that arrived before the remote description
+   */
+  async flushPendingCandidates(leg, negotiation) {
+    const candidates = negotiation.pendingCandidates.splice(0);
+    for (const candidate of candidates) {
+      try {
+        await negotiation.peerConnection.addIceCandidate(candidate);
+      } catch (error) {
+        this.handleError(`Failed to add queued ${leg} ICE candidate`, error, ERROR_CODES.SIGNALING_FAILED, { recoverable: true });
+      }
+    }
+  }
+
+  /**
+   * Send an offer that was deferred by an exchange in progress
+   */
+  async sendPendingOffer(leg, negotiation) {
+    if (!negotiation.pendingOffer || negotiation.peerConnection.signalingState !== 'stable') {
+      return;
+    }
+    const options = negotiation.pendingOffer;
+    negotiation.pendingOffer = null;
+    if (leg === 'audio') {
+      await this.createAudioOffer(options);
+    } else {
+      await this.sendVideoSessionOffer(options);
+    }
+  }
+
+  /**
+   * Route a binary message on the video data channel to the position or frame handler
+   */
+  handleVideoChannelData(data) {
+    if (this.isPositionPacket(data)) {
+      this.handleIncomingPositionPacket(data);
+    } else {
+      this.handleIncomingVideoMessage(data);
+    }
+  }
+
+  /**
+   * Handle incoming video frame
+   */
+  handleIncomingVideoMessage(data) {
+    try {
+      // Basic validation - check if data is too small for a valid frame
+      if (!data || data.byteLength < 20) { // Minimum size for header + some data
+        this.malformedVideoFrames++;
+        return; // Keep last good image
+      }
+
+      const view = new DataView(data);
+      const clientIDLen = view.getUint32(0, false); // Big endian
+
+      // Validate client ID length
+      if (clientIDLen <= 0 || clientIDLen > 1000 || clientIDLen + 16 > data.byteLength) {
+        this.malformedVideoFrames++;
+        return; // Keep last good image
+      }
+
+      const clientID = new TextDecoder().decode(data.slice(4, 4 + clientIDLen));
+
+      // Validate client ID is not empty
+      if (!clientID || clientID.trim() === '') {
+        this.malformedVideoFrames++;
+        return; // Keep last good image
+      }
+
+      // Drop frames from sources outside our zones
+      if (!this.isVideoSourceVisible(clientID)) {
+        this.recordVideoFrame(clientID, 'filtered');
+        return;
+      }
+
+      const timestamp = view.getBigUint64(4 + clientIDLen, false);
+      const frameNumber = view.getUint32(12 + clientIDLen, false);
+      const videoData = data.slice(16 + clientIDLen);
+
+      // Validate video data is not empty
+      if (!videoData || videoData.byteLength === 0) {
+        this.recordVideoFrame(clientID, 'jpeg');
+        return; // Keep last good image
+      }
+
+      // Check frame age - drop frames that are too old
+      const currentTime = this.getServerTimeNs();
+      const frameAgeMs = Number(currentTime - timestamp) / 1000000; // Convert to milliseconds
+
+      if (frameAgeMs > 1000) { // 1 second threshold
+        this.recordVideoFrame(clientID, 'age');
+        return; // Frame is too old, drop it
+      }
+
+      // Validate JPEG data by checking for JPEG header
+      if (videoData.byteLength < 2) {
+        this.recordVideoFrame(clientID, 'jpeg');
+        return; // Not enough data for JPEG header
+      }
+
+      // Convert to Uint8Array for proper byte access
+      const videoBytes = new Uint8Array(videoData);
+
+      if (videoBytes[0] !== 0xFF || videoBytes[1] !== 0xD8) {
+        this.recordVideoFrame(clientID, 'jpeg');
+        return; // Not a valid JPEG, keep last good image
+      }
+
+      // Parse JPEG dimensions directly from binary data
+      const dimensions = this.getJPEGDimensions(videoBytes);
+      if (!dimensions) {
+        this.recordVideoFrame(clientID, 'jpeg');
+        return; // Could not parse dimensions, keep last good image
+      }
+
+      // Check the image is one of the sizes the source publishes
+      if (!this.isAdvertisedVideoSize(clientID, dimensions)) {
+        this.recordVideoFrame(clientID, 'dimensions');
+        return; // Wrong dimensions, keep last good image
+      }
+      this.recordVideoFrame(clientID, null, frameAgeMs);
+
+      // Convert video data to blob URL with proper MIME type for Firefox
+      const blob = new Blob([videoData], { type: 'image/jpeg' });
+      const url = URL.createObjectURL(blob);
+
+      // Check if this is a new video source
+      const isNewVideoSource = !this.receivedVideos.has(clientID);
+
+      // Store video data
+      this.receivedVideos.set(clientID, {
+        url: url,
+        timestamp: timestamp,
+        frameNumber: frameNumber,
+        width: dimensions.width,
+        height: dimensions.height
+      });
+
+      // Only call onVideoSourceAdd for new video sources, not for every frame
+      if (isNewVideoSource) {
+        this.log('New video source detected', { clientID, url });
+        this.emit('onVideoSourceAdd', clientID, url, dimensions);
+        this.updateVideoTierRequests();
+      } else {
+        // Update existing video element's src to animate the image
+        // this.log('Updating existing video frame', { clientID, frameNumber });
+        // The callback should handle updating the existing img src
+        this.emit('onVideoFrameUpdate', clientID, url, dimensions);
+      }
+
+    } catch (error) {
+      this.handleError('Error handling video message', error, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
+      // Don't update display on error - keep last good image
+    }
+  }
+
+  /**
+   * Send video frame (video capture loop)
+   */
+  sendVideoFrame() {
+    if (this.videoTierCanvases.length === 0 || !this.videoElement || !this.videoDataChannel || this.videoDataChannel.readyState !== 'open') {
+      return;
+    }
+
+    // Check if video element is ready and has valid dimensions
+    if (this.videoElement.videoWidth === 0 || this.videoElement.videoHeight === 0) {
+      return; // Video not ready yet
+    }
+
+    // Every tier of one capture shares a frame number
+    const frameNumber = this.videoFrameNumber++;
+
+    this.videoTierCanvases.forEach(tier => {
+      if (!this.demandedVideoTiers || this.demandedVideoTiers.has(`${tier.width}x${tier.height}`)) {
+        this.sendVideoFrameTier(tier, frameNumber);
+      }
+    });
+  }
+
+  /**
+   * Encode and send one resolution tier of the current video frame
+   */
+  sendVideoFrameTier(tier, frameNumber) {
+    // Draw video frame to canvas
+    try {
+      tier.context.drawImage(this.videoElement, 0, 0, tier.width, tier.height);
+    } catch (error) {
+      this.videoSendStats.encodeFailures++;
+      this.reportVideoSendFailure('Error drawing video to canvas', error, ERROR_CODES.MEDIA_FAILED);
+      return;
+    }
+
+    // Convert to JPEG
+    tier.canvas.toBlob((blob) => {
+      if (blob) {
+        this.videoSendStats.framesEncoded++;
+        this.videoSendStats.bytesEncoded += blob.size;
+
+        // Create binary message with header (like index.html)
+        const clientIDBytes = new TextEncoder().encode(this.clientId);
+        const clientIDLen = clientIDBytes.length;
+        const timestamp = this.getServerTimeNs();
+
+        // Calculate total message size
+        const totalSize = 4 + clientIDLen + 8 + 4 + blob.size;
+        const message = new ArrayBuffer(totalSize);
+        const view = new DataView(message);
+
+        // Write header
+        view.setUint32(0, clientIDLen, false); // Big endian
+        new Uint8Array(message, 4, clientIDLen).set(clientIDBytes);
+        view.setBigUint64(4 + clientIDLen, timestamp, false);
+        view.setUint32(12 + clientIDLen, frameNumber, false);
+
+        // Read blob data
+        const reader = new FileReader();
+        reader.onload = () => {
+          new Uint8Array(message, 16 + clientIDLen).set(new Uint8Array(reader.result));
+
+          // Send via data channel
+          try {
+            this.videoDataChannel.send(message);
+            this.videoSendStats.framesSent++;
+            this.videoSendStats.failing = false;
+          } catch (error) {
+            this.videoSendStats.sendFailures++;
+            this.reportVideoSendFailure('Error sending video frame via data channel', error, ERROR_CODES.DATACHANNEL_FAILED);
+          }
+        };
+        reader.readAsArrayBuffer(blob);
+      } else {
+        // Safari fallback: try toDataURL method
+        if (!this.isSafari) {
+          this.videoSendStats.encodeFailures++;
+          this.reportVideoSendFailure('Failed to create video blob', null, ERROR_CODES.MEDIA_FAILED);
+        } else {
+          try {
+            const dataURL = tier.canvas.toDataURL('image/jpeg', this.config.videoQuality);
+            const base64Data = dataURL.split(',')[1];
+            const binaryData = atob(base64Data);
+            const bytes = new Uint8Array(binaryData.length);
+            for (let i = 0; i < binaryData.length; i++) {
+              bytes[i] = binaryData.charCodeAt(i);
+            }
+            this.videoSendStats.framesEncoded++;
+            this.videoSendStats.bytesEncoded += bytes.length;
+
+            // Create binary message with header
+            const clientIDBytes = new TextEncoder().encode(this.clientId);
+            const clientIDLen = clientIDBytes.length;
+            const timestamp = this.getServerTimeNs();
+
+            // Calculate total message size
+            const totalSize = 4 + clientIDLen + 8 + 4 + bytes.length;
+            const message = new ArrayBuffer(totalSize);
+            const view = new DataView(message);
+
+            // Write header
+            view.setUint32(0, clientIDLen, false); // Big endian
+            new Uint8Array(message, 4, clientIDLen).set(clientIDBytes);
+            view.setBigUint64(4 + clientIDLen, timestamp, false);
+            view.setUint32(12 + clientIDLen, frameNumber, false);
+
+            // Copy image data
+            new Uint8Array(message, 16 + clientIDLen).set(bytes);
+
+            // Send via data channel
+            this.videoDataChannel.send(message);
+            this.videoSendStats.framesSent++;
+          } catch (fallbackError) {
+            this.videoSendStats.sendFailures++;
+            this.reportVideoSendFailure('Safari video fallback failed', fallbackError, ERROR_CODES.MEDIA_FAILED);
+          }
+        }
+      }
+    }, 'image/jpeg', this.config.videoQuality);
+  }
+
+  /**
+   * Setup remote audio
+   */
+  async setupRemoteAudio(stream) {
+    this.log('Setting up remote audio', {
+      isListeningAudio: this.isListeningAudio,
+      hasRemoteAudioElement: !!this.remoteAudioElement,
+      isSafari: this.isSafari,
+      streamTracks: stream ? stream.getTracks().length : 0,
+      streamId: stream ? stream.id : 'no-stream',
+      streamActive: stream ? stream.active : false
+    });
+
+    if (!this.isListeningAudio) {
+      this.log('Skipping remote audio setup - not listening');
+      return;
+    }
+
+    if (!stream) {
+      this.logError('No stream provided to setupRemoteAudio');
+      return;
+    }
+
+    // Channel audio arrives as its own track and gets its own gain control
+    if (stream.id.startsWith(CHANNEL_STREAM_PREFIX)) {
+      this.setupChannelAudio(stream);
+      return;
+    }
+
+    // Log stream details
+    this.log('Stream details', {
+      id: stream.id,
+      active: stream.active,
+      tracks: stream.getTracks().map(t => ({
+        id: t.id,
+        kind: t.kind,
+        enabled: t.enabled,
+        muted: t.muted,
+        readyState: t.readyState
+      }))
+    });
+
+    // Add stream event listeners for debugging
+    stream.onaddtrack = (event) => {
+      this.log('Stream track added', { track: event.track });
+    };
+    stream.onremovetrack = (event) => {
+      this.log('Stream track removed', { track: event.track });
+    };
+    stream.onended = () => {
+      this.log('Stream ended');
+    };
+
+    // Add track event listeners
+    stream.getTracks().forEach(track => {
+      track.onended = () => {
+        this.log('Track ended', { trackId: track.id, kind: track.kind });
+      };
+      track.onmute = () => {
+        this.log('Track muted', { trackId: track.id, kind: track.kind });
+      };
+      track.onunmute = () => {
+        this.log('Track unmuted', { trackId: track.id, kind: track.kind });
+      };
+
+      // Add MediaStreamTrack event listeners to check for actual data
+      if (track.kind === 'audio') {
+        this.log('Setting up audio track monitoring', { trackId: track.id });
+
+        // Check if track has enabled state
+        this.log('Audio track state', {
+          id: track.id,
+          kind: track.kind,
+          enabled: track.enabled,
+          muted: track.muted,
+          readyState: track.readyState
+        });
+
+        // Monitor track state changes
+        const checkTrackState = () => {
+          /*this.log('Audio track state check', {
+            id: track.id,
+            enabled: track.enabled,
+            muted: track.muted,
+            readyState: track.readyState
+          });*/
+        };
+
+        // Check immediately and then every 2 seconds
+        checkTrackState();
+        const trackStateInterval = setInterval(() => {
+          if (track.readyState === 'ended') {
+            clearInterval(trackStateInterval);
+            return;
+          }
+          checkTrackState();
+        }, 2000);
+      }
+    });
+
+    if (this.isSafari) {
+      this.log('Initializing Safari audio context for remote audio');
+      await this.initializeSafariAudioContext();
+    }
+
+    // Clear existing audio element
+    if (this.remoteAudioElement) {
+      this.log('Clearing existing audio element');
+      this.remoteAudioElement.srcObject = null;
+      if (document.body.contains(this.remoteAudioElement)) {
+        document.body.removeChild(this.remoteAudioElement);
+      }
+    }
+
+    // Create new Audio element
+    this.log('Creating new audio element');
+    this.remoteAudioElement = new Audio();
+    this.remoteAudioElement.autoplay = true;
+
+    // Set the stream with a small delay to ensure proper initialization
+    setTimeout(() => {
+      this.log('Setting srcObject on audio element');
+      this.remoteAudioElement.srcObject = stream;
+      this.log('srcObject set successfully');
+
+      // Log audio element properties
+      this.log('Audio element properties', {
+        srcObject: !!this.remoteAudioElement.srcObject,
+        autoplay: this.remoteAudioElement.autoplay,
+        volume: this.remoteAudioElement.volume,
+        muted: this.remoteAudioElement.muted,
+        paused: this.remoteAudioElement.paused,
+        readyState: this.remoteAudioElement.readyState,
+        networkState: this.remoteAudioElement.networkState
+      });
+
+      // Safari needs higher volume and specific audio context handling
+      if (this.isSafari) {
+        this.remoteAudioElement.volume = this.spatialGain;
+        // Connect remote audio to Safari's audio context for proper processing
+        if (this.safariAudioContext && !this.safariUserInteractionNeeded) {
+          try {
+            this.safariRemoteSource = this.safariAudioContext.createMediaStreamSource(stream);
+            this.safariRemoteGain = this.safariAudioContext.createGain();
+            this.safariRemoteGain.gain.value = 2.0 * this.spatialGain; // Volume boost for Safari
+            this.safariRemoteSource.connect(this.safariRemoteGain);
+            this.safariRemoteGain.connect(this.safariAudioContext.destination);
+            this.log('Safari: Connected remote audio to audio context');
+          } catch (error) {
+            this.handleError('Safari: Failed to connect remote audio to context', error, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
+          }
+        }
+      } else {
+        this.remoteAudioElement.volume = this.spatialGain;
+        this.log('Remote audio volume set', { volume: this.spatialGain });
+      }
+
+      this.log('Attempting to play remote audio');
+      this.remoteAudioElement.play().then(() => {
+        this.log('Remote audio started successfully');
+        // Log audio state after successful play
+        this.log('Audio state after play', {
+          paused: this.remoteAudioElement.paused,
+          currentTime: this.remoteAudioElement.currentTime,
+          duration: this.remoteAudioElement.duration,
+          volume: this.remoteAudioElement.volume,
+          muted: this.remoteAudioElement.muted,
+          readyState: this.remoteAudioElement.readyState,
+          networkState: this.remoteAudioElement.networkState
+        });
+      }).catch(e => {
+        this.log('Audio autoplay blocked, adding click handler', { error: e.message });
+        // Add click handler to enable audio
+        const enableAudio = async () => {
+          try {
+            // Resume Safari audio context if needed
+            if (this.isSafari && this.safariAudioContext && this.safariAudioContext.state === 'suspended') {
+              this.log('Resuming Safari audio context during user interaction');
+              await this.safariAudioContext.resume();
+              this.safariUserInteractionNeeded = false;
+            }
+
+            // Try to play the audio
+            await this.remoteAudioElement.play();
+            this.log('Audio enabled after user interaction');
+
+            // Remove the event listener
+            document.removeEventListener('click', enableAudio);
+            document.removeEventListener('touchstart', enableAudio);
+            document.removeEventListener('keydown', enableAudio);
+          } catch (err) {
+            this.handleError('Failed to enable audio after user interaction', err, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
+          }
+        };
+
+        // Add multiple event listeners for better user interaction detection
+        document.addEventListener('click', enableAudio, { once: true });
+        document.addEventListener('touchstart', enableAudio, { once: true });
+        document.addEventListener('keydown', enableAudio, { once: true });
+      });
+
+      // Add comprehensive event listeners for debugging
+      this.remoteAudioElement.addEventListener('loadstart', () => {
+        this.log('Audio loadstart event');
+      });
+      this.remoteAudioElement.addEventListener('durationchange', () => {
+        this.log('Audio durationchange event', { duration: this.remoteAudioElement.duration });
+      });
+      this.remoteAudioElement.addEventListener('loadedmetadata', () => {
+        this.log('Audio loadedmetadata event', {
+          duration: this.remoteAudioElement.duration,
+          videoWidth: this.remoteAudioElement.videoWidth,
+          videoHeight: this.remoteAudioElement.videoHeight
+        });
+      });
+      this.remoteAudioElement.addEventListener('loadeddata', () => {
+        this.log('Audio loadeddata event');
+      });
+      this.remoteAudioElement.addEventListener('progress', () => {
+        this.log('Audio progress event');
+      });
+      this.remoteAudioElement.addEventListener('canplay', () => {
+        this.log('Audio canplay event');
+      });
+      this.remoteAudioElement.addEventListener('canplaythrough', () => {
+        this.log('Audio canplaythrough event');
+      });
+      this.remoteAudioElement.addEventListener('play', () => {
+        this.log('Audio play event');
+      });
+      this.remoteAudioElement.addEventListener('playing', () => {
+        this.log('Audio playing event');
+      });
+      this.remoteAudioElement.addEventListener('waiting', () => {
+        this.log('Audio waiting event');
+      });
+      this.remoteAudioElement.addEventListener('seeking', () => {
+        this.log('Audio seeking event');
+      });
+      this.remoteAudioElement.addEventListener('seeked', () => {
+        this.log('Audio seeked event');
+      });
+      this.remoteAudioElement.addEventListener('timeupdate', () => {
+      });
+      this.remoteAudioElement.addEventListener('ended', () => {
+        this.log('Audio ended event');
+      });
+      this.remoteAudioElement.addEventListener('ratechange', () => {
+        this.log('Audio ratechange event', { playbackRate: this.remoteAudioElement.playbackRate });
+      });
+      this.remoteAudioElement.addEventListener('volumechange', () => {
+        this.log('Audio volumechange event', { volume: this.remoteAudioElement.volume });
+      });
+      this.remoteAudioElement.addEventListener('suspend', () => {
+        this.log('Audio suspend event');
+      });
+      this.remoteAudioElement.addEventListener('abort', () => {
+        this.log('Audio abort event');
+      });
+      this.remoteAudioElement.addEventListener('error', (e) => {
+        this.handleError('Remote audio playback error', e.target?.error || e, ERROR_CODES.MEDIA_FAILED, { recoverable: true });
+        this.log('Audio error details', {
+          error: this.remoteAudioElement.error,
+          errorCode: this.remoteAudioElement.error ? this.remoteAudioElement.error.code : null,
+          errorMessage: this.remoteAudioElement.error ? this.remoteAudioElement.error.message : null
+        });
+      });
+      this.remoteAudioElement.addEventListener('stalled', () => {
+        this.log('Audio stalled event');
+      });
+      this.remoteAudioElement.addEventListener('emptied', () => {
+        this.log('Audio emptied event');
+      });
+
+      // Add periodic audio state logging to see if audio is progressing
+      const audioStateInterval = setInterval(() => {
+        if (this.remoteAudioElement && !this.remoteAudioElement.paused) {
+          /*this.log('Audio state check', {
+            currentTime: this.remoteAudioElement.currentTime,
+            duration: this.remoteAudioElement.duration,
+            volume: this.remoteAudioElement.volume,
+            muted: this.remoteAudioElement.muted,
+            readyState: this.remoteAudioElement.readyState,
+            networkState: this.remoteAudioElement.networkState,
+            hasSrcObject: !!this.remoteAudioElement.srcObject,
+            srcObjectTracks: this.remoteAudioElement.srcObject ? this.remoteAudioElement.srcObject.getTracks().length : 0
+          });*/
+        } else {
+          clearInterval(audioStateInterval);
+        }
+      }, 1000); // Log every second
+    }, 100); // Small delay to ensure audio element is ready
+  }
+
+  /**
+   * Play a radio channel stream delivered separately from the spatial mix
+   */
+  setupChannelAudio(stream) {
+    const channelId = stream.id.slice(CHANNEL_STREAM_PREFIX.length);
+    this.log('Setting up channel audio', { channelId, streamId: stream.id });
+
+    const existing = this.channelAudioElements.get(channelId);
+    if (existing) {
+      existing.pause();
+      existing.srcObject = null;
+    }
+
+    const audioElement = new Audio();
+    audioElement.autoplay = true;
+    audioElement.srcObject = stream;
+    audioElement.volume = this.channelGain;
+    this.channelAudioElements.set(channelId, audioElement);
+
+    stream.getTracks().forEach(track => {
+      track.addEventListener('ended', () => {
+        if (this.channelAudioElements.get(channelId) === audioElement) {
+          audioElement.srcObject = null;
+          this.channelAudioElements.delete(channelId);
+          this.log('Channel audio ended', { channelId });
+        }
+      });
+    });
+
+    audioElement.play().catch(error => {
+      // Autoplay was blocked; retry on the next user interaction
+      this.log('Channel audio autoplay blocked', { channelId, error: error.message });
+      const enableAudio = () => audioElement.play().catch(() => {});
+      document.addEventListener('click', enableAudio, { once: true });
+      document.addEventListener('touchstart', enableAudio, { once: true });
+      document.addEventListener('keydown', enableAudio, { once: true });
+    });
+  }
+
+  /**
+   * Stop all radio channel playback
+   */
+  cleanupChannelAudio() {
+    this.channelAudioElements.forEach(audioElement => {
+      audioElement.pause();
+      audioElement.srcObject = null;
+    });
+    this.channelAudioElements.clear();
+  }
+
+  /**
+   * Set the volume (0.0-1.0) of the spatial audio mix
+   */
+  setSpatialGain(gain) {
+    if (!Number.isFinite(gain)) {
+      throw new ValidationError('Spatial gain must be a finite number');
+    }
+    this.spatialGain = Math.max(0, Math.min(1, gain));
+    if (this.remoteAudioElement) {
+      this.remoteAudioElement.volume = this.spatialGain;
+    }
+    if (this.safariRemoteGain) {
+      this.safariRemoteGain.gain.value = 2.0 * this.spatialGain;
+    }
+    return this;
+  }
+
+  /**
+   * Set the volume (0.0-1.0) of radio channel audio
+   */
+  setChannelGain(gain) {
+    if (!Number.isFinite(gain)) {
+      throw new ValidationError('Channel gain must be a finite number');
+    }
+    this.channelGain = Math.max(0, Math.min(1, gain));
+    this.channelAudioElements.forEach(audioElement => {
+      audioElement.volume = this.channelGain;
+    });
+    return this;
+  }
+
+  /**
+   * Safari-specific audio context management
+   */
+  async initializeSafariAudioContext() {
+    this.log('Initializing Safari audio context', {
+      isSafari: this.isSafari,
+      hasExistingContext: !!this.safariAudioContext
+    });
+
+    if (!this.isSafari || this.safariAudioContext) {
+      this.log('Skipping Safari audio context initialization');
+      return;
+    }
+
+    try {
+      this.safariAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.log('Safari audio context created', {
+        state: this.safariAudioContext.state,
+        sampleRate: this.safariAudioContext.sampleRate
+      });
+
+      if (this.safariAudioContext.state === 'suspended') {
+        this.log('Safari audio context suspended, waiting for user interaction');
+        this.safariUserInteractionNeeded = true;
+
+        // Create a more robust user interaction handler
+        const resumeAudio = async (event) => {
+          try {
+            this.log('User interaction detected, resuming Safari audio context');
+
+            // Resume the audio context
+            await this.safariAudioContext.resume();
+            this.safariUserInteractionNeeded = false;
+
+            this.log('Safari audio context resumed successfully', {
+              state: this.safariAudioContext.state
+            });
+
+            // Remove all event listeners
+            document.removeEventListener('click', resumeAudio);
+            document.removeEventListener('touchstart', resumeAudio);
+            document.removeEventListener('keydown', resumeAudio);
+
+            // If we have a remote audio element, try to play it
+            if (this.remoteAudioElement && this.remoteAudioElement.paused) {
+              this.log('Attempting to play remote audio after context resume');
+              await this.remoteAudioElement.play();
+              this.log('Remote audio started after context resume');
+            }
+          } catch (error) {
+            this.handleError('Failed to resume Safari audio context', error, ERROR_CODES.MEDIA_FAILED);
+          }
+        };
+
+        // Add multiple event listeners for better user interaction detection
+        document.addEventListener('click', resumeAudio, { once: true });
+        document.addEventListener('touchstart', resumeAudio, { once: true });
+        document.addEventListener('keydown', resumeAudio, { once: true });
+
+        this.log('Added user interaction listeners for Safari audio context');
+      } else {
+        this.log('Safari audio context already active');
+      }
+    } catch (error) {
+      this.handleError('Failed to initialize Safari audio context', error, ERROR_CODES.MEDIA_FAILED);
+    }
+  }
+
+  /**
+   * Safari-specific audio cleanup
+   */
+  cleanupSafariAudio(closeContext = false) {
+    this.log('Cleaning up Safari audio', {
+      isSafari: this.isSafari,
+      hasAudioContext: !!this.safariAudioContext,
+      closeContext,
+      isSendingAudio: this.isSendingAudio,
+      isListeningAudio: this.isListeningAudio
+    });
+
+    if (!this.isSafari || !this.safariAudioContext) {
+      this.log('No Safari audio context to clean up');
+      return;
+    }
+
+    try {
+      if (this.safariRemoteSource) {
+        this.log('Disconnecting Safari remote source');
+        this.safariRemoteSource.disconnect();
+        this.safariRemoteSource = null;
+      }
+      if (this.safariRemoteGain) {
+        this.log('Disconnecting Safari remote gain');
+        this.safariRemoteGain.disconnect();
+        this.safariRemoteGain = null;
+      }
+      if (this.safariGainNode) {
+        this.log('Disconnecting Safari gain node');
+        this.safariGainNode.disconnect();
+        this.safariGainNode = null;
+      }
+      if (this.safariAnalyser) {
+        this.log('Disconnecting Safari analyser');
+        this.safariAnalyser.disconnect();
+        this.safariAnalyser = null;
+      }
+
+      if (closeContext || (!this.isSendingAudio && !this.isListeningAudio)) {
+        this.log('Closing Safari audio context');
+        this.safariAudioContext.close();
+        this.safariAudioContext = null;
+        this.safariUserInteractionNeeded = false;
+      }
+      this.log('Safari audio cleanup completed');
+    } catch (error) {
+      this.handleError('Safari audio cleanup error', error, ERROR_CODES.MEDIA_FAILED);
+    }
+  }
+
+  /**
+   * Handle errors. Wraps error in a TankRTCError with the given code unless it
+   * already is one, reports it through onError and returns it for rethrowing.
+   */
+  handleError(message, error, code = ERROR_CODES.UNKNOWN, options = {}) {
+    const tankError = this.toTankRTCError(error, message, code, options);
+    this.logError(`TankRTC Error: ${message}`, tankError);
+    this.emit('onError', message, tankError);
+    return tankError;
+  }
+
+  /**
+   * Wrap any thrown value in a TankRTCError, keeping the original as its cause.
+   * options (e.g. recoverable) only apply when wrapping.
+   */
+  toTankRTCError(error, message, code = ERROR_CODES.UNKNOWN, options = {}) {
+    if (error instanceof TankRTCError) {
+      return error;
+    }
+    return new TankRTCError(code, error?.message || message, { ...options, cause: error });
+  }
+
+  /**
+   * Map a getUserMedia() rejection to a DeviceError
+   */
+  createDeviceError(error, device) {
+    switch (error?.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+        return new DeviceError(ERROR_CODES.PERMISSION_DENIED, `${device} access was denied`, { cause: error });
+      case 'NotFoundError':
+      case 'OverconstrainedError':
+        return new DeviceError(ERROR_CODES.DEVICE_NOT_FOUND, `No ${device.toLowerCase()} found`, { cause: error });
+      case 'NotReadableError':
+      case 'AbortError':
+        return new DeviceError(ERROR_CODES.DEVICE_UNAVAILABLE, `${device} is in use or unavailable`, { recoverable: true, cause: error });
+      default:
+        return new DeviceError(ERROR_CODES.MEDIA_FAILED, `${device} access failed: ${error?.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get connection state, including the state of each media leg and the
+   * underlying signaling sockets and peer connections
+   */
+  getConnectionState() {
+    const socketState = (ws) => ws ? ['connecting', 'open', 'closing', 'closed'][ws.readyState] : 'none';
+    const state = {
+      isConnected: this.isConnected,
+      isSendingAudio: this.isSendingAudio,
+      isListeningAudio: this.isListeningAudio,
+      isSendingVideo: this.isSendingVideo,
+      isViewingVideo: this.isViewingVideo,
+      clientId: this.clientId,
+      sessionId: this.sessionInfo?.sessionId ?? null,
+      legs: { ...this.legStates },
+      control: socketState(this.controlWsConnection),
+      audio: {
+        signaling: socketState(this.audioWsConnection),
+        ice: this.audioPeerConnection?.iceConnectionState ?? 'none'
+      },
+      video: {
+        signaling: socketState(this.videoWsConnection),
+        ice: this.videoPeerConnection?.iceConnectionState ?? 'none',
+        dataChannel: this.videoDataChannel?.readyState ?? 'none'
+      },
+      reconnectAttempts: this.reconnectAttempts
+    };
+    this.log('Getting connection state', state);
+    return state;
+  }
+
+  /**
+   * Move a media leg to a new connection state, rejecting transitions the
+   * state machine doesn't allow
+   */
+  setLegState(leg, to, reason) {
+    const from = this.legStates[leg];
+    if (from === to) {
+      return true;
+    }
+    if (!CONNECTION_STATE_TRANSITIONS[from].includes(to)) {
+      this.logError(`Invalid connection state transition for ${leg}: ${from} -> ${to}`, reason);
+      return false;
+    }
+
+    this.legStates[leg] = to;
+    this.log('Connection state changed', { leg, from, to, reason });
+    this.emit('onConnectionStateChange', leg, from, to, reason);
+    return true;
+  }
+
+  /**
+   * Derive a media leg's state from its active flag and the connection carrying it
+   */
+  deriveLegState(leg) {
+    if (!this[MEDIA_LEG_FLAGS[leg]]) {
+      return 'idle';
+    }
+
+    let state;
+    if (leg.startsWith('audio')) {
+      const ice = this.audioPeerConnection?.iceConnectionState;
+      if (ice === 'connected' || ice === 'completed') {
+        state = 'connected';
+      } else if (ice === 'disconnected' || ice === 'failed') {
+        state = 'degraded';
+      } else {
+        state = 'connecting';
+      }
+    } else {
+      const ice = this.videoPeerConnection?.iceConnectionState;
+      if (ice === 'disconnected' || ice === 'failed') {
+        state = 'degraded';
+      } else if (this.videoDataChannel?.readyState === 'open') {
+        state = 'connected';
+      } else {
+        state = 'connecting';
+      }
+    }
+
+    // A connected leg whose connection is being renegotiated is degraded, not new
+    if (state === 'connecting' && this.legStates[leg] === 'connected') {
+      state = 'degraded';
+    }
+    return state;
+  }
+
+  /**
+   * Bring every media leg's state in line with its flags and connections.
+   * Legs held by the reconnect manager or closed by disconnect() keep their state.
+   */
+  syncLegStates(reason) {
+    Object.keys(MEDIA_LEG_FLAGS).forEach(leg => {
+      const current = this.legStates[leg];
+      const next = this.deriveLegState(leg);
+      if (current === 'reconnecting' && (this.reconnectTimer || this.isRestoring) && next !== 'connected') {
+        return;
+      }
+      if (current === 'closed' && next === 'idle') {
+        return;
+      }
+      this.setLegState(leg, next, reason);
+    });
+  }
+
+  /**
+   * Our estimate of the server's clock in ms since the epoch
+   */
+  getServerTime() {
+    return Date.now() + this.clockOffset;
+  }
+
+  /**
+   * Server time in nanoseconds, as used in binary packet headers
+   */
+  getServerTimeNs() {
+    return BigInt(Math.round(this.getServerTime())) * BigInt(1000000);
+  }
+
+  /**
+   * Get the clock offset estimate: offset (ms to add to local time) and
+   * uncertainty (± ms, half the round trip of the best sample)
+   */
+  getClockSync() {
+    const best = this.getBestClockSample();
+    return {
+      offset: this.clockOffset,
+      uncertainty: best ? best.delay / 2 : null,
+      samples: this.clockSyncHistory.length,
+      synchronized: !!best,
+      lastSyncAt: this.lastClockSyncAt
+    };
+  }
+
+  /**
+   * Run a clock sync round now and then every config.clockSyncInterval ms
+   */
+  startClockSync() {
+    if (this.clockSyncTimer || !this.config.clockSyncInterval) {
+      return;
+    }
+    this.syncClock();
+    this.clockSyncTimer = setInterval(() => this.syncClock(), this.config.clockSyncInterval);
+  }
+
+  /**
+   * Send a round of time-sync probes on the first open signaling socket,
+   * spaced out so one network hiccup doesn't spoil them all
+   */
+  syncClock() {
+    const ws = [this.controlWsConnection, this.audioWsConnection, this.videoWsConnection]
+      .find(socket => socket && socket.readyState === WebSocket.OPEN);
+    if (!ws) {
+      return;
+    }
+
+    for (let i = 0; i < this.config.clockSyncSamples; i++) {
+      setTimeout(() => {
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'time-sync', t0: Date.now() }));
+        }
+      }, i * 100);
+    }
+  }
+
+  /**
+   * NTP-style offset from a time-sync reply carrying our send time (t0) and
+   * the server's receive (t1) and reply (t2) times
+   */
+  handleTimeSync(message) {
+    const t3 = Date.now();
+    const { t0, t1, t2 } = message;
+    if (![t0, t1, t2].every(Number.isFinite)) {
+      return;
+    }
+
+    const offset = ((t1 - t0) + (t2 - t3)) / 2;
+    const delay = (t3 - t0) - (t2 - t1);
+    this.clockSyncHistory.push({ offset, delay: Math.max(0, delay) });
+    // Old samples don't reflect local clock drift
+    if (this.clockSyncHistory.length > this.config.clockSyncSamples * 3) {
+      this.clockSyncHistory.shift();
+    }
+
+    // The sample with the shortest round trip has the least asymmetry error
+    this.clockOffset = this.getBestClockSample().offset;
+    this.lastClockSyncAt = t3;
+  }
+
+  /**
+   * The clock sync sample with the shortest round trip
+   */
+  getBestClockSample() {
+    return this.clockSyncHistory.reduce((best, sample) => (!best || sample.delay < best.delay ? sample : best), null);
+  }
+
+  /**
+   * Ping a signaling socket every config.heartbeatInterval ms. Once the server
+   * has answered a ping, a socket that leaves config.heartbeatMissedLimit pings
+   * unanswered is treated as closed; servers that never answer are left alone.
+   */
+  startHeartbeat(socket, ws) {
+    this.stopHeartbeat(socket);
+    if (!this.config.heartbeatInterval) {
+      return;
+    }
+
+    const heartbeat = { ws, missed: 0, answered: false, timer: null };
+    heartbeat.timer = setInterval(() => {
+      if (ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (heartbeat.answered && heartbeat.missed >= this.config.heartbeatMissedLimit) {
+        this.handleHeartbeatTimeout(socket, ws);
+        return;
+      }
+      heartbeat.missed++;
+      ws.send(JSON.stringify({ type: 'ping', sentAt: Date.now() }));
+    }, this.config.heartbeatInterval);
+    this.heartbeats[socket] = heartbeat;
+  }
+
+  /**
+   * Stop pinging a signaling socket. With ws given, only stops if that socket is the one being pinged.
+   */
+  stopHeartbeat(socket, ws) {
+    const heartbeat = this.heartbeats[socket];
+    if (!heartbeat || (ws && heartbeat.ws !== ws)) {
+      return;
+    }
+    clearInterval(heartbeat.timer);
+    delete this.heartbeats[socket];
+  }
+
+  /**
+   * Record the round trip of a ping the server echoed back
+   */
+  handlePong(socket, message) {
+    const heartbeat = this.heartbeats[socket];
+    if (heartbeat) {
+      heartbeat.missed = 0;
+      heartbeat.answered = true;
+    }
+    if (typeof message.sentAt !== 'number') {
+      return;
+    }
+
+    const rtt = Date.now() - message.sentAt;
+    this.latency[socket] = rtt;
+    this.emit('onLatency', socket, rtt);
+  }
+
+  /**
+   * Treat a signaling socket that stopped answering pings as closed
+   */
+  handleHeartbeatTimeout(socket, ws) {
+    this.stopHeartbeat(socket, ws);
+    this.logError(`🔴 ${socket} signaling missed ${this.config.heartbeatMissedLimit} heartbeats`);
+
+    // A half-open socket can take minutes to report closing, so run its
+    // close handling now and ignore the real close event when it comes
+    const handleClose = ws.onclose;
+    ws.onclose = null;
+    ws.close();
+    handleClose?.call(ws, { code: 4000, reason: 'Heartbeat timeout' });
+  }
+
+  /**
+   * Start sampling network quality every config.networkQualityInterval ms
+   */
+  startNetworkQualityMonitor() {
+    if (this.networkQualityTimer || !this.config.networkQualityInterval) {
+      return;
+    }
+
+    this.networkQualityTimer = setInterval(() => {
+      this.sampleNetworkQuality().catch(error => {
+        this.logError('Network quality sampling failed', error);
+      });
+    }, this.config.networkQualityInterval);
+  }
+
+  /**
+   * Stop sampling network quality
+   */
+  stopNetworkQualityMonitor() {
+    clearInterval(this.networkQualityTimer);
+    this.networkQualityTimer = null;
+    this.networkQuality = {};
+    this.networkStatsTotals = {};
+  }
+
+  /**
+   * Get the latest network quality sample per leg
+   */
+  getNetworkQuality() {
+    return Object.fromEntries(Object.entries(this.networkQuality).map(([leg, sample]) => [leg, { ...sample }]));
+  }
+
+  /**
+   * Sample the audio peer connection and the video data channel, score them and emit onNetworkQuality
+   */
+  async sampleNetworkQuality() {
+    const legs = [];
+    if (this.audioPeerConnection && (this.isSendingAudio || this.isListeningAudio || this.emitters.size > 0)) {
+      legs.push(['audio', this.audioPeerConnection]);
+    }
+    if (this.videoPeerConnection && (this.isSendingVideo || this.isViewingVideo)) {
+      legs.push(['video', this.videoPeerConnection]);
+    }
+    if (legs.length === 0) {
+      this.stopNetworkQualityMonitor();
+      return;
+    }
+
+    for (const [leg, peerConnection] of legs) {
+      const details = await this.collectNetworkStats(leg, peerConnection);
+      const score = this.getNetworkQualityScore(details, peerConnection.iceConnectionState);
+      this.networkQuality[leg] = { score, ...details };
+      this.emit('onNetworkQuality', leg, score, details);
+    }
+  }
+
+  /**
+   * Reduce a peer connection's stats to RTT and jitter (ms), packet loss since the
+   * last sample (0-1), available outgoing bitrate (bps) and data channel backlog (bytes)
+   */
+  async collectNetworkStats(leg, peerConnection) {
+    const report = await peerConnection.getStats();
+    const details = {
+      rtt: null,
+      jitter: null,
+      packetLoss: null,
+      availableOutgoingBitrate: null,
+      bufferedAmount: null
+    };
+    let packetsLost = 0;
+    let packetsReceived = 0;
+    let remoteFractionLost = null;
+
+    report.forEach(stat => {
+      if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+        if (stat.currentRoundTripTime !== undefined) {
+          details.rtt = stat.currentRoundTripTime * 1000;
+        }
+        if (stat.availableOutgoingBitrate !== undefined) {
+          details.availableOutgoingBitrate = stat.availableOutgoingBitrate;
+        }
+      } else if (leg === 'audio' && stat.type === 'inbound-rtp' && stat.kind === 'audio') {
+        packetsLost += stat.packetsLost || 0;
+        packetsReceived += stat.packetsReceived || 0;
+        if (stat.jitter !== undefined) {
+          details.jitter = Math.max(details.jitter ?? 0, stat.jitter * 1000);
+        }
+      } else if (leg === 'audio' && stat.type === 'remote-inbound-rtp' && stat.kind === 'audio') {
+        // How the server receives what we send
+        if (stat.fractionLost !== undefined) {
+          remoteFractionLost = Math.max(remoteFractionLost ?? 0, stat.fractionLost);
+        }
+        if (stat.jitter !== undefined) {
+          details.jitter = Math.max(details.jitter ?? 0, stat.jitter * 1000);
+        }
+        if (details.rtt === null && stat.roundTripTime !== undefined) {
+          details.rtt = stat.roundTripTime * 1000;
+        }
+      }
+    });
+
+    if (leg === 'audio') {
+      // Counters are cumulative, so compare against the previous sample
+      const previous = this.networkStatsTotals[leg] || { packetsLost: 0, packetsReceived: 0 };
+      const lost = Math.max(0, packetsLost - previous.packetsLost);
+      const received = Math.max(0, packetsReceived - previous.packetsReceived);
+      this.networkStatsTotals[leg] = { packetsLost, packetsReceived };
+
+      const inboundLoss = lost + received > 0 ? lost / (lost + received) : null;
+      if (inboundLoss !== null || remoteFractionLost !== null) {
+        details.packetLoss = Math.max(inboundLoss ?? 0, remoteFractionLost ?? 0);
+      }
+    } else if (this.videoDataChannel) {
+      details.bufferedAmount = this.videoDataChannel.bufferedAmount;
+    }
+
+    return details;
+  }
+
+  /**
+   * Score network details from 0 (unusable) to 5 (excellent)
+   */
+  getNetworkQualityScore(details, iceConnectionState) {
+    if (iceConnectionState === 'failed' || iceConnectionState === 'disconnected' || iceConnectionState === 'closed') {
+      return 0;
+    }
+
+    let score = 5;
+    const { rtt, jitter, packetLoss, availableOutgoingBitrate, bufferedAmount } = details;
+    if (rtt !== null) {
+      score -= rtt > 500 ? 3 : rtt > 300 ? 2 : rtt > 150 ? 1 : 0;
+    }
+    if (jitter !== null) {
+      score -= jitter > 60 ? 2 : jitter > 30 ? 1 : 0;
+    }
+    if (packetLoss !== null) {
+      score -= packetLoss > 0.15 ? 4 : packetLoss > 0.08 ? 3 : packetLoss > 0.03 ? 2 : packetLoss > 0.01 ? 1 : 0;
+    }
+    if (availableOutgoingBitrate !== null && availableOutgoingBitrate < 100000) {
+      score -= 1;
+    }
+    if (bufferedAmount !== null) {
+      score -= bufferedAmount > 256 * 1024 ? 2 : bufferedAmount > 64 * 1024 ? 1 : 0;
+    }
+    return Math.max(0, score);
+  }
+
+  /**
+   * Get a structured snapshot of audio, video and network statistics
+   */
+  async getStats() {
+    return {
+      timestamp: Date.now(),
+      audio: await this.getAudioStats(),
+      video: this.getVideoStats(),
+      network: this.getNetworkQuality(),
+      latency: { ...this.latency },
+      clock: this.getClockSync()
+    };
+  }
+
+  /**
+   * Summarize the audio peer connection's RTP stats, or null without one.
+   * Outgoing figures include emitter tracks.
+   */
+  async getAudioStats() {
+    if (!this.audioPeerConnection) {
+      return null;
+    }
+
+    const report = await this.audioPeerConnection.getStats();
+    const stats = {
+      bytesSent: 0,
+      bytesReceived: 0,
+      packetsSent: 0,
+      packetsReceived: 0,
+      packetsLost: 0,
+      jitter: null, // ms
+      sendCodec: null,
+      receiveCodec: null,
+      localAudioLevel: null, // 0-1
+      remoteAudioLevel: null // 0-1
+    };
+    const codecName = (codecId) => {
+      const codec = codecId && report.get(codecId);
+      return codec ? codec.mimeType.replace(/^audio\//, '') : null;
+    };
+
+    report.forEach(stat => {
+      if (stat.kind !== 'audio') {
+        return;
+      }
+      if (stat.type === 'outbound-rtp') {
+        stats.bytesSent += stat.bytesSent || 0;
+        stats.packetsSent += stat.packetsSent || 0;
+        stats.sendCodec = stats.sendCodec || codecName(stat.codecId);
+      } else if (stat.type === 'inbound-rtp') {
+        stats.bytesReceived += stat.bytesReceived || 0;
+        stats.packetsReceived += stat.packetsReceived || 0;
+        stats.packetsLost += stat.packetsLost || 0;
+        stats.receiveCodec = stats.receiveCodec || codecName(stat.codecId);
+        if (stat.jitter !== undefined) {
+          stats.jitter = Math.max(stats.jitter ?? 0, stat.jitter * 1000);
+        }
+        if (stat.audioLevel !== undefined) {
+          stats.remoteAudioLevel = Math.max(stats.remoteAudioLevel ?? 0, stat.audioLevel);
+        }
+      } else if (stat.type === 'media-source' && stat.audioLevel !== undefined &&
+        stat.trackIdentifier === this.localStream?.getAudioTracks()[0]?.id) {
+        stats.localAudioLevel = stat.audioLevel;
+      }
+    });
+
+    return stats;
+  }
+
+  /**
+   * Summarize outgoing video and the frames received from each remote source
+   */
+  getVideoStats() {
+    const now = Date.now();
+    const received = {};
+    this.videoReceiveStats.forEach((source, clientId) => {
+      source.recentFrames = source.recentFrames.filter(time => now - time < 1000);
+      received[clientId] = {
+        framesReceived: source.framesReceived,
+        fps: source.recentFrames.length,
+        framesDropped: { ...source.framesDropped },
+        latency: source.lastLatency, // ms, sender timestamp to receipt
+        averageLatency: source.framesReceived > 0 ? source.latencyTotal / source.framesReceived : null
+      };
+    });
+
+    const sent = this.videoSendStats;
+    return {
+      sent: {
+        framesEncoded: sent.framesEncoded,
+        framesSent: sent.framesSent,
+        averageFrameSize: sent.framesEncoded > 0 ? sent.bytesEncoded / sent.framesEncoded : null, // JPEG bytes
+        encodeFailures: sent.encodeFailures,
+        sendFailures: sent.sendFailures
+      },
+      received,
+      malformedFrames: this.malformedVideoFrames
+    };
+  }
+
+  /**
+   * Fresh counters for outgoing video
+   */
+  createVideoSendStats() {
+    return {
+      framesEncoded: 0,
+      framesSent: 0,
+      bytesEncoded: 0,
+      encodeFailures: 0,
+      sendFailures: 0,
+      failing: false // Whether the current run of failures was already reported
+    };
+  }
+
+  /**
+   * Report a failed video frame once per run of failures, so a broken
+   * channel doesn't raise onError for every frame
+   */
+  reportVideoSendFailure(message, error, code) {
+    if (this.videoSendStats.failing) {
+      this.logError(message, error);
+      return;
+    }
+    this.videoSendStats.failing = true;
+    this.handleError(message, error || new TankRTCError(code, message, { recoverable: true }), code, { recoverable: true });
+  }
+
+  /**
+   * Count a frame from a remote source, either displayed (dropReason null,
+   * with its latency in ms) or dropped for 'age', 'dimensions', 'jpeg' or 'filtered'
+   */
+  recordVideoFrame(clientId, dropReason, latency = null) {
+    let source = this.videoReceiveStats.get(clientId);
+    if (!source) {
+      source = {
+        framesReceived: 0,
+        framesDropped: { age: 0, dimensions: 0, jpeg: 0, filtered: 0 },
+        recentFrames: [],
+        lastLatency: null,
+        latencyTotal: 0,
+        lastFrameAt: 0
+      };
+      this.videoReceiveStats.set(clientId, source);
+    }
+
+    source.lastFrameAt = Date.now();
+    if (dropReason) {
+      source.framesDropped[dropReason]++;
+      return;
+    }
+
+    const now = Date.now();
+    source.framesReceived++;
+    source.recentFrames = source.recentFrames.filter(time => now - time < 1000);
+    source.recentFrames.push(now);
+    source.lastLatency = latency;
+    source.latencyTotal += latency;
+  }
+
+  /**
+   * Parse JPEG dimensions directly from binary data
+   */
+  getJPEGDimensions(data) {
+    try {
+      let offset = 2; // Skip JPEG SOI marker (0xFF 0xD8)
+
+      while (offset < data.byteLength - 1) {
+        // Look for JPEG markers (0xFF followed by non-zero byte)
+        if (data[offset] === 0xFF && data[offset + 1] !== 0x00) {
+          const marker = data[offset + 1];
+
+          // SOF0, SOF1, SOF2 markers contain image dimensions
+          if (marker >= 0xC0 && marker <= 0xC3) {
+            if (offset + 9 < data.byteLength) {
+              const height = (data[offset + 5] << 8) | data[offset + 6];
+              const width = (data[offset + 7] << 8) | data[offset + 8];
+              return { width, height };
+            }
+          }
+
+          // Skip marker and length
+          if (offset + 2 < data.byteLength) {
+            const length = (data[offset + 2] << 8) | data[offset + 3];
+            offset += 2 + length;
+          } else {
+            break;
+          }
+        } else {
+          offset++;
+        }
+      }
+    } catch (error) {
+      this.logError('Error parsing JPEG dimensions', error);
+    }
+    return null;
+  }
+
+  /**
+   * Report an audio peer connection that failed without its ICE transport
+   * failing (e.g. DTLS); ICE failures are reported by handleIceFailure()
+   */
+  handleAudioConnectionStateChange(peerConnection) {
+    if (peerConnection.connectionState === 'disconnected') {
+      this.log('🔴 Audio connection disconnected');
+    } else if (peerConnection.connectionState === 'failed' && peerConnection.iceConnectionState !== 'failed') {
+      this.handleError('Audio connection failed', new ConnectionError(
+        ERROR_CODES.CONNECTION_FAILED,
+        'Audio connection failed',
+        { recoverable: this.config.reconnect }
+      ));
+    }
+  }
+
+  /**
+   * Report a failed ICE transport and try to restart it
+   */
+  handleIceFailure(leg) {
+    this.handleError(`${leg === 'audio' ? 'Audio' : 'Video'} ICE connection failed`, new ConnectionError(
+      ERROR_CODES.ICE_FAILED,
+      `${leg === 'audio' ? 'Audio' : 'Video'} ICE connection failed`,
+      { recoverable: this.config.reconnect }
+    ));
+    this.restartIce(leg);
+  }
+
+  /**
+   * Try to recover a failed media leg with an ICE restart over the existing
+   * signaling socket, falling back to a full reconnect
+   */
+  async restartIce(leg) {
+    if (this.isUnifiedSignaling()) {
+      leg = 'audio';
+    }
+    const peerConnection = leg === 'audio' ? this.audioPeerConnection : this.videoPeerConnection;
+    const ws = leg === 'audio' ? this.audioWsConnection : this.videoWsConnection;
+
+    if (!this.config.reconnect || !peerConnection || this.iceRestartTimers[leg]) {
+      return;
+    }
+    if (!ws || ws.readyState !== WebSocket.OPEN) {
+      this.scheduleReconnect(leg, 'ICE failed with signaling closed');
+      return;
+    }
+
+    this.log('Restarting ICE', { leg });
+    this.iceRestartTimers[leg] = setTimeout(() => {
+      delete this.iceRestartTimers[leg];
+      const state = peerConnection.iceConnectionState;
+      if (state !== 'connected' && state !== 'completed') {
+        this.scheduleReconnect(leg, 'ICE restart timed out');
+      }
+    }, this.config.iceRestartTimeout);
+
+    try {
+      peerConnection.restartIce?.();
+      if (leg === 'audio') {
+        await this.createAudioOffer({ iceRestart: true });
+      } else {
+        await this.sendVideoSessionOffer({ iceRestart: true });
+      }
+    } catch (error) {
+      this.handleError(`${leg === 'audio' ? 'Audio' : 'Video'} ICE restart failed`, error, ERROR_CODES.ICE_FAILED, { recoverable: true });
+      clearTimeout(this.iceRestartTimers[leg]);
+      delete this.iceRestartTimers[leg];
+      this.scheduleReconnect(leg, 'ICE restart failed');
+    }
+  }
+
+  /**
+   * Schedule a reconnect of a media leg with exponential backoff and jitter.
+   * The active modes at the time of the first failure are restored.
+   */
+  scheduleReconnect(leg, reason) {
+    if (!this.config.reconnect || this.isRestoring) {
+      return;
+    }
+    if (this.isUnifiedSignaling() && leg === 'video') {
+      leg = 'audio';
+    }
+
+    // Remember what was active before the first failure
+    if (!this.reconnectState) {
+      this.reconnectState = {
+        isConnected: this.isConnected,
+        isSendingAudio: this.isSendingAudio,
+        isListeningAudio: this.isListeningAudio,
+        isSendingVideo: this.isSendingVideo,
+        isViewingVideo: this.isViewingVideo,
+        hasEmitters: this.emitters.size > 0
+      };
+    }
+    this.reconnectLegs.add(leg);
+    if (this.isUnifiedSignaling() && leg === 'audio') {
+      this.reconnectLegs.add('video');
+    }
+
+    if (!this.hasStateToRestore(this.reconnectState, this.reconnectLegs)) {
+      this.log('Nothing to restore, not reconnecting', { leg, reason });
+      this.reconnectState = null;
+      this.reconnectLegs.clear();
+      return;
+    }
+    if (this.reconnectTimer) {
+      this.setReconnectingLegStates('reconnecting', reason);
+      return;
+    }
+
+    if (this.reconnectAttempts >= this.config.reconnectMaxAttempts) {
+      this.setReconnectingLegStates('closed', `Gave up after ${this.reconnectAttempts} attempts`);
+      this.handleError('Reconnection failed', new ConnectionError(ERROR_CODES.RECONNECT_FAILED, `Gave up after ${this.reconnectAttempts} attempts: ${reason}`));
+      const sessionLost = this.reconnectLegs.has('control') && (this.reconnectState.isConnected || this.isConnected);
+      this.reconnectAttempts = 0;
+      this.reconnectState = null;
+      this.reconnectLegs.clear();
+      // A dropped control channel skipped onDisconnect while a reconnect was pending
+      if (sessionLost) {
+        this.isConnected = false;
+        this.emit('onDisconnect');
+      }
+      return;
+    }
+    this.setReconnectingLegStates('reconnecting', reason);
+
+    this.reconnectAttempts++;
+    const backoff = Math.min(
+      this.config.reconnectMaxDelay,
+      this.config.reconnectBaseDelay * Math.pow(2, this.reconnectAttempts - 1)
+    );
+    // Equal jitter: half the backoff plus a random share of the other half
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+    this.log('Scheduling reconnect', { legs: [...this.reconnectLegs], attempt: this.reconnectAttempts, delay, reason });
+    this.emit('onReconnecting', this.reconnectAttempts, delay, reason);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.performReconnect();
+    }, delay);
+  }
+
+  /**
+   * Move the media legs that were active on the connections being reconnected to a new state
+   */
+  setReconnectingLegStates(to, reason) {
+    Object.entries(MEDIA_LEG_FLAGS).forEach(([leg, flag]) => {
+      const transport = leg.startsWith('audio') ? 'audio' : 'video';
+      if (this.reconnectLegs.has(transport) && this.reconnectState[flag]) {
+        this.setLegState(leg, to, reason);
+      }
+    });
+  }
+
+  /**
+   * Whether a snapshot has anything active on the given legs
+   */
+  hasStateToRestore(state, legs) {
+    return (legs.has('control') && state.isConnected) ||
+      (legs.has('audio') && (state.isSendingAudio || state.isListeningAudio || state.hasEmitters)) ||
+      (legs.has('video') && (state.isSendingVideo || state.isViewingVideo));
+  }
+
+  /**
+   * Tear down the broken legs and restore whatever was active on them
+   */
+  async performReconnect() {
+    const state = this.reconnectState;
+    const legs = new Set(this.reconnectLegs);
+    this.reconnectLegs.clear();
+    this.isRestoring = true;
+
+    try {
+      // Reconnect with a fresh token rather than one that may have caused the drop
+      if (this.config.getAuthToken) {
+        await this.resolveAuthToken({ forceRefresh: true });
+      }
+
+      if (legs.has('control')) {
+        const controlWs = this.controlWsConnection;
+        this.controlWsConnection = null;
+        controlWs?.close();
+        this.sessionInfo = await this.openControlChannel();
+        this.isConnected = true;
+      }
+
+      if (legs.has('audio')) {
+        if (this.isSendingAudio) {
+          this.stopSendingAudio();
+        }
+        if (this.isListeningAudio) {
+          this.stopListeningAudio();
+        }
+        this.closeAudioConnection();
+      }
+      if (legs.has('video')) {
+        if (this.isSendingVideo) {
+          this.stopSendingVideo();
+        }
+        if (this.isViewingVideo) {
+          this.stopViewingVideo();
+        }
+        this.closeVideoConnection();
+      }
+
+      if (legs.has('audio')) {
+        if (state.isListeningAudio) {
+          await this.startListeningAudio();
+        }
+        if (state.isSendingAudio) {
+          await this.startSendingAudio();
+        }
+        if (!state.isListeningAudio && !state.isSendingAudio && this.emitters.size > 0) {
+          await this.rebuildAudioConnection();
+          this.addEmitterTracks();
+          await this.createAudioOffer();
+        }
+      }
+      if (legs.has('video')) {
+        if (state.isSendingVideo) {
+          await this.startSendingVideo();
+        }
+        if (state.isViewingVideo) {
+          await this.startViewingVideo();
+        }
+      }
+
+      // Video start methods report failures without throwing, so check the result
+      const restored = (!state.isSendingAudio || this.isSendingAudio) &&
+        (!state.isListeningAudio || this.isListeningAudio) &&
+        (!legs.has('video') || !(state.isSendingVideo || state.isViewingVideo) || this.isVideoConnectionReady());
+      if (!restored) {
+        throw new ConnectionError(ERROR_CODES.CONNECTION_FAILED, 'Media was not fully restored', { recoverable: true });
+      }
+    } catch (error) {
+      this.handleError('Reconnect attempt failed', error, ERROR_CODES.CONNECTION_FAILED, { recoverable: true });
+      this.isRestoring = false;
+      legs.forEach(leg => this.scheduleReconnect(leg, error.message));
+      return;
+    }
+
+    this.isRestoring = false;
+    const attempts = this.reconnectAttempts;
+    this.reconnectAttempts = 0;
+    this.reconnectState = null;
+
+    // The server lost our and our emitters' positions with the old connection
+    this.queuePositionUpdate(this.getPose());
+    this.emitters.forEach(emitter => this.queuePositionUpdate(emitter.position, emitter.clientId));
+
+    this.syncLegStates('Reconnected');
+    this.log('Reconnected', { legs: [...legs], attempts });
+    this.emit('onReconnected', attempts);
+  }
+
+  /**
+   * Stop any pending reconnect
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    Object.values(this.iceRestartTimers).forEach(timer => clearTimeout(timer));
+    this.iceRestartTimers = {};
+    this.reconnectAttempts = 0;
+    this.reconnectState = null;
+    this.reconnectLegs.clear();
+  }
+
+  /**
+   * Close the audio signaling socket and peer connection
+   */
+  closeAudioConnection() {
+    const ws = this.audioWsConnection;
+    const peerConnection = this.audioPeerConnection;
+    this.audioWsConnection = null;
+    this.audioPeerConnection = null;
+
+    ws?.close();
+    peerConnection?.close();
+
+    if (this.isUnifiedSignaling()) {
+      this.videoWsConnection = null;
+      this.videoPeerConnection = null;
+      this.videoDataChannel = null;
+      this.videoDataChannelPending = false;
+    }
+  }
+
+  /**
+   * Close the video signaling socket, peer connection and data channels
+   */
+  closeVideoConnection() {
+    const ws = this.videoWsConnection;
+    const peerConnection = this.videoPeerConnection;
+    this.videoWsConnection = null;
+    this.videoPeerConnection = null;
+    this.videoDataChannel = null;
+    this.videoDataChannelPending = false;
+
+    ws?.close();
+    peerConnection?.close();
   }
 
   /**
-   * Safari-specific audio context management
+   * Close the video connection once neither sending nor viewing video.
+   * A unified connection also carries audio, so it stays up while audio is in use.
    */
-  async initializeSafariAudioContext() {
-    this.log('Initializing Safari audio context', {
-      isSafari: this.isSafari,
-      hasExistingContext: !!this.safariAudioContext
-    });
-
-    if (!this.isSafari || this.safariAudioContext) {
-      this.log('Skipping Safari audio context initialization');
+  closeVideoConnectionIfIdle() {
+    if (this.isSendingVideo || this.isViewingVideo) {
       return;
     }
 
-    try {
-      this.safariAudioContext = new (window.AudioContext || window.webkitAudioContext)();
-      this.log('Safari audio context created', {
-        state: this.safariAudioContext.state,
-        sampleRate: this.safariAudioContext.sampleRate
-      });
-
-      if (this.safariAudioContext.state === 'suspended') {
-        this.log('Safari audio context suspended, waiting for user interaction');
-        this.safariUserInteractionNeeded = true;
-
-        // Create a more robust user interaction handler
-        const resumeAudio = async (event) => {
-          try {
-            this.log('User interaction detected, resuming Safari audio context');
+    if (this.isUnifiedSignaling()) {
+      if (this.isSendingAudio || this.isListeningAudio || this.emitters.size > 0) {
+        return;
+      }
+      this.audioPeerConnection = null;
+      this.audioWsConnection = null;
+    }
 
-            // Resume the audio context
-            await this.safariAudioContext.resume();
-            this.safariUserInteractionNeeded = false;
+    if (this.videoPeerConnection) {
+      this.log('Closing video peer connection');
+      this.videoPeerConnection.close();
+      this.videoPeerConnection = null;
+    }
+    if (this.videoWsConnection) {
+      this.log('Closing video WebSocket connection');
+      this.videoWsConnection.close();
+      this.videoWsConnection = null;
+    }
+    this.videoDataChannel = null;
+    this.videoDataChannelPending = false;
+  }
 
-            this.log('Safari audio context resumed successfully', {
-              state: this.safariAudioContext.state
-            });
+  /**
+   * Tear down and re-establish the audio leg. In unified mode the shared
+   * connection is kept and only brought up if it isn't already.
+   */
+  async rebuildAudioConnection() {
+    if (this.isUnifiedSignaling()) {
+      await this.initializeUnifiedConnection();
+      return;
+    }
 
-            // Remove all event listeners
-            document.removeEventListener('click', resumeAudio);
-            document.removeEventListener('touchstart', resumeAudio);
-            document.removeEventListener('keydown', resumeAudio);
+    if (this.audioWsConnection) {
+      this.log('Closing existing audio WebSocket connection');
+      this.audioWsConnection.close();
+      this.audioWsConnection = null;
+    }
 
-            // If we have a remote audio element, try to play it
-            if (this.remoteAudioElement && this.remoteAudioElement.paused) {
-              this.log('Attempting to play remote audio after context resume');
-              await this.remoteAudioElement.play();
-              this.log('Remote audio started after context resume');
-            }
-          } catch (error) {
-            this.handleError('🔴 Failed to resume Safari audio context', error);
-          }
-        };
+    if (this.audioPeerConnection) {
+      this.log('Closing existing audio peer connection');
+      this.audioPeerConnection.close();
+      this.audioPeerConnection = null;
+    }
 
-        // Add multiple event listeners for better user interaction detection
-        document.addEventListener('click', resumeAudio, { once: true });
-        document.addEventListener('touchstart', resumeAudio, { once: true });
-        document.addEventListener('keydown', resumeAudio, { once: true });
+    // Re-establish audio connection only (independent of video)
+    await this.initializeAudioConnection();
+    await this.resetPeerConnection();
+  }
 
-        this.log('Added user interaction listeners for Safari audio context');
-      } else {
-        this.log('Safari audio context already active');
-      }
-    } catch (error) {
-      this.logError('Failed to initialize Safari audio context', error);
-      this.handleError('Failed to initialize Safari audio context', error);
+  /**
+   * Reuse the audio signaling socket and peer connection if they are up,
+   * otherwise build them. Returns whether a new connection was built.
+   */
+  async ensureAudioConnection() {
+    const ws = this.audioWsConnection;
+    const peerConnection = this.audioPeerConnection;
+    if (ws && ws.readyState === WebSocket.OPEN && peerConnection &&
+      peerConnection.signalingState !== 'closed' && peerConnection.connectionState !== 'failed') {
+      return false;
     }
+
+    await this.rebuildAudioConnection();
+    return true;
   }
 
   /**
-   * Safari-specific audio cleanup
+   * Point our microphone transceiver at the current local track and set its
+   * direction (sendrecv/sendonly/recvonly/inactive) from the sending and listening flags
    */
-  cleanupSafariAudio(closeContext = false) {
-    this.log('Cleaning up Safari audio', {
-      isSafari: this.isSafari,
-      hasAudioContext: !!this.safariAudioContext,
-      closeContext,
-      isSendingAudio: this.isSendingAudio,
-      isListeningAudio: this.isListeningAudio
-    });
-
-    if (!this.isSafari || !this.safariAudioContext) {
-      this.log('No Safari audio context to clean up');
+  async updateAudioTransceiver() {
+    const peerConnection = this.audioPeerConnection;
+    if (!peerConnection || peerConnection.signalingState === 'closed') {
       return;
     }
 
-    try {
-      if (this.safariRemoteSource) {
-        this.log('Disconnecting Safari remote source');
-        this.safariRemoteSource.disconnect();
-        this.safariRemoteSource = null;
-      }
-      if (this.safariRemoteGain) {
-        this.log('Disconnecting Safari remote gain');
-        this.safariRemoteGain.disconnect();
-        this.safariRemoteGain = null;
-      }
-      if (this.safariGainNode) {
-        this.log('Disconnecting Safari gain node');
-        this.safariGainNode.disconnect();
-        this.safariGainNode = null;
-      }
-      if (this.safariAnalyser) {
-        this.log('Disconnecting Safari analyser');
-        this.safariAnalyser.disconnect();
-        this.safariAnalyser = null;
+    const track = (this.isSendingAudio && this.localStream?.getAudioTracks()[0]) || null;
+    let direction = 'inactive';
+    if (this.isSendingAudio) {
+      direction = this.isListeningAudio ? 'sendrecv' : 'sendonly';
+    } else if (this.isListeningAudio) {
+      direction = 'recvonly';
+    }
+
+    let transceiver = this.audioTransceiver;
+    if (!transceiver || !peerConnection.getTransceivers().includes(transceiver)) {
+      if (direction === 'inactive') {
+        return;
       }
+      this.audioTransceiver = peerConnection.addTransceiver(track || 'audio', {
+        direction,
+        streams: track ? [this.localStream] : []
+      });
+      return;
+    }
 
-      if (closeContext || (!this.isSendingAudio && !this.isListeningAudio)) {
-        this.log('Closing Safari audio context');
-        this.safariAudioContext.close();
-        this.safariAudioContext = null;
-        this.safariUserInteractionNeeded = false;
+    if (transceiver.sender.track !== track) {
+      await transceiver.sender.replaceTrack(track);
+      if (!this.isAudioConnectionCurrent(peerConnection)) {
+        return;
+      }
+      if (track) {
+        transceiver.sender.setStreams?.(this.localStream);
       }
-      this.log('Safari audio cleanup completed');
-    } catch (error) {
-      this.logError('Safari audio cleanup error', error);
-      this.handleError('Safari audio cleanup error', error);
     }
+    transceiver.direction = direction;
   }
 
   /**
-   * Handle errors
+   * Whether a peer connection is still our open audio connection. disconnect()
+   * and reconnects close it right after stopping audio, while a renegotiation
+   * started by the stop is still awaiting.
    */
-  handleError(message, error) {
-    this.logError(`TankRTC Error: ${message}`, error);
-    this.callbacks.onError?.(message, error);
+  isAudioConnectionCurrent(peerConnection) {
+    return this.audioPeerConnection === peerConnection && peerConnection.signalingState !== 'closed';
   }
 
   /**
-   * Get connection state
+   * Apply the current sending/listening flags to the audio connection in place
    */
-  getConnectionState() {
-    const state = {
-      isConnected: this.isConnected,
-      isSendingAudio: this.isSendingAudio,
-      isListeningAudio: this.isListeningAudio,
-      isSendingVideo: this.isSendingVideo,
-      isViewingVideo: this.isViewingVideo,
-      clientId: this.clientId
-    };
-    this.log('Getting connection state', state);
-    return state;
+  async renegotiateAudio() {
+    const peerConnection = this.audioPeerConnection;
+    try {
+      await this.updateAudioTransceiver();
+      if (peerConnection && this.isAudioConnectionCurrent(peerConnection)) {
+        await this.createAudioOffer();
+      }
+    } catch (error) {
+      if (peerConnection && !this.isAudioConnectionCurrent(peerConnection)) {
+        this.log('Audio connection closed during renegotiation', { error: error.message });
+        return;
+      }
+      this.handleError('Audio renegotiation failed', error, ERROR_CODES.SIGNALING_FAILED, { recoverable: true });
+    }
   }
 
   /**
-   * Parse JPEG dimensions directly from binary data
+   * Initialize a single signaling socket and peer connection carrying both
+   * the audio track and the video data channels
    */
-  getJPEGDimensions(data) {
-    try {
-      let offset = 2; // Skip JPEG SOI marker (0xFF 0xD8)
+  async initializeUnifiedConnection() {
+    if (this.audioWsConnection && this.audioWsConnection.readyState === WebSocket.OPEN && this.audioPeerConnection) {
+      return;
+    }
 
-      while (offset < data.byteLength - 1) {
-        // Look for JPEG markers (0xFF followed by non-zero byte)
-        if (data[offset] === 0xFF && data[offset + 1] !== 0x00) {
-          const marker = data[offset + 1];
+    const ws = await this.openSignalingSocket('/webrtc');
+    ws.binaryType = 'arraybuffer'; // Binary position packets
 
-          // SOF0, SOF1, SOF2 markers contain image dimensions
-          if (marker >= 0xC0 && marker <= 0xC3) {
-            if (offset + 9 < data.byteLength) {
-              const height = (data[offset + 5] << 8) | data[offset + 6];
-              const width = (data[offset + 7] << 8) | data[offset + 8];
-              return { width, height };
-            }
-          }
+    await new Promise((resolve, reject) => {
+      let opened = false;
+      this.audioWsConnection = ws;
+      this.videoWsConnection = ws;
+
+      ws.onopen = async () => {
+        opened = true;
+        this.log('Unified signaling connected');
+        this.startHeartbeat('audio', ws);
+        this.startClockSync();
+
+        // A peer connection that outlived the previous socket has ICE/DTLS state
+        // the server no longer knows, so start over on a fresh one
+        const stalePeerConnection = this.audioPeerConnection;
+        if (stalePeerConnection) {
+          this.audioPeerConnection = null;
+          this.videoPeerConnection = null;
+          this.videoDataChannel = null;
+          this.videoDataChannelPending = false;
+          this.audioTransceiver = null;
+          stalePeerConnection.close();
+        }
 
-          // Skip marker and length
-          if (offset + 2 < data.byteLength) {
-            const length = (data[offset + 2] << 8) | data[offset + 3];
-            offset += 2 + length;
-          } else {
-            break;
+        try {
+          await this.createPeerConnection();
+        } catch (error) {
+          // RTCPeerConnection throws on bad ICE servers; fail the start instead of hanging
+          this.audioWsConnection = null;
+          this.videoWsConnection = null;
+          ws.close();
+          reject(this.toTankRTCError(error, 'Failed to create peer connection', ERROR_CODES.CONNECTION_FAILED));
+          return;
+        }
+        this.videoPeerConnection = this.audioPeerConnection;
+        resolve(true);
+      };
+
+      ws.onerror = () => {
+        reject(new SignalingError(ERROR_CODES.SIGNALING_FAILED, 'Signaling WebSocket error', { recoverable: true }));
+      };
+
+      ws.onclose = (event) => {
+        this.log('🔴 Signaling Disconnected');
+        this.stopHeartbeat('audio', ws);
+        if (this.audioWsConnection === ws) {
+          this.audioWsConnection = null;
+          this.videoWsConnection = null;
+          if (!this.handleAuthClose(event, 'Signaling') && opened) {
+            this.scheduleReconnect('audio', 'Signaling WebSocket closed');
           }
-        } else {
-          offset++;
         }
+      };
+
+      ws.onmessage = this.handleUnifiedMessage.bind(this);
+    });
+  }
+
+  /**
+   * Route a message from the unified signaling socket to the audio or video handler by type
+   */
+  handleUnifiedMessage(event) {
+    if (typeof event.data === 'string') {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        this.handleError('Signaling message parsing error', error, ERROR_CODES.SIGNALING_FAILED);
+        return;
+      }
+
+      if (message.type === 'error') {
+        this.handleError('Signaling server error', new ServerError(message.message || 'Signaling server error', { serverCode: message.code }));
+        return;
+      }
+      if (VIDEO_SIGNALING_TYPES.includes(message.type)) {
+        this.handleVideoMessage(message);
+        return;
       }
-    } catch (error) {
-      this.logError('Error parsing JPEG dimensions', error);
     }
-    return null;
+
+    this.handleAudioMessage(event);
   }
 
   /**
@@ -1522,12 +5081,25 @@ class TankRTC {
       return;
     }
 
-    const videoWsUrl = `${this.config.serverUrl}/webrtc-video`;
+    // The unified connection only needs the data channels added to it
+    if (this.isUnifiedSignaling()) {
+      await this.initializeUnifiedConnection();
+      if (!this.videoDataChannel && !this.videoDataChannelPending) {
+        await this.sendVideoOffer();
+      }
+      return;
+    }
 
     // Create WebSocket connection for video
-    this.videoWsConnection = new WebSocket(videoWsUrl);
+    const rtcConfiguration = await this.getRtcConfiguration();
+    const videoWs = await this.openSignalingSocket('/webrtc-video');
+    let videoWsOpened = false;
+    this.videoWsConnection = videoWs;
 
     this.videoWsConnection.onopen = () => {
+      videoWsOpened = true;
+      this.startHeartbeat('video', videoWs);
+      this.startClockSync();
       this.sendVideoOffer();
     };
 
@@ -1536,24 +5108,33 @@ class TankRTC {
         console.log('No data in video message', event);
         return;
       }
-      const message = JSON.parse(event.data);
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        this.handleError('Video message parsing error', error, ERROR_CODES.SIGNALING_FAILED);
+        return;
+      }
       this.handleVideoMessage(message);
     };
 
-    this.videoWsConnection.onclose = () => {
-      this.videoWsConnection = null;
+    this.videoWsConnection.onclose = (event) => {
+      this.stopHeartbeat('video', videoWs);
+      // Sockets we replaced or closed on purpose are no longer current
+      if (this.videoWsConnection === videoWs) {
+        this.videoWsConnection = null;
+        if (!this.handleAuthClose(event, 'Video signaling') && videoWsOpened) {
+          this.scheduleReconnect('video', 'Video WebSocket closed');
+        }
+      }
     };
 
-    this.videoWsConnection.onerror = (error) => {
-      console.error('Video WebSocket error:', error);
+    this.videoWsConnection.onerror = () => {
+      this.handleError('Video WebSocket error', new SignalingError(ERROR_CODES.SIGNALING_FAILED, 'Video WebSocket error', { recoverable: true }));
     };
 
     // Create video peer connection
-    this.videoPeerConnection = new RTCPeerConnection({
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' }
-      ]
-    });
+    this.videoPeerConnection = new RTCPeerConnection(rtcConfiguration);
 
     // Handle ICE candidates
     this.videoPeerConnection.onicecandidate = (event) => {
@@ -1566,8 +5147,12 @@ class TankRTC {
       }
     };
 
+    const videoPeerConnection = this.videoPeerConnection;
     this.videoPeerConnection.oniceconnectionstatechange = () => {
-      // ICE connection state changed
+      this.syncLegStates(`Video ICE ${videoPeerConnection.iceConnectionState}`);
+      if (videoPeerConnection.iceConnectionState === 'failed') {
+        this.handleIceFailure('video');
+      }
     };
 
     this.videoPeerConnection.onconnectionstatechange = () => {
@@ -1583,43 +5168,50 @@ class TankRTC {
       return true; // Already connected
     }
 
-    const audioWsUrl = `${this.config.serverUrl}/webrtc-audio`;
+    const rtcConfiguration = await this.getRtcConfiguration();
+    const audioWs = await this.openSignalingSocket('/webrtc-audio');
+    audioWs.binaryType = 'arraybuffer'; // Binary position packets
 
     await new Promise((resolve, reject) => {
-      this.audioWsConnection = new WebSocket(audioWsUrl);
+      let audioWsOpened = false;
+      this.audioWsConnection = audioWs;
 
       this.audioWsConnection.onopen = async () => {
+        audioWsOpened = true;
+        this.startHeartbeat('audio', audioWs);
+        this.startClockSync();
         console.log('WebSocket connected');
 
         // Use the pre-generated clientId
         console.log('Using client ID:', this.clientId);
 
-        // Create peer connection
-        this.audioPeerConnection = new RTCPeerConnection({
-          iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' }
-          ]
-        });
+        // Create peer connection. It throws on bad ICE servers, so fail the start instead of hanging
+        try {
+          this.audioPeerConnection = new RTCPeerConnection(rtcConfiguration);
+        } catch (error) {
+          this.audioWsConnection = null;
+          audioWs.close();
+          reject(this.toTankRTCError(error, 'Failed to create audio peer connection', ERROR_CODES.CONNECTION_FAILED));
+          return;
+        }
 
         // Monitor connection states
-        this.audioPeerConnection.oniceconnectionstatechange = () => {
-          if (this.audioPeerConnection.iceConnectionState === 'connected' || this.audioPeerConnection.iceConnectionState === 'completed') {
-            this.isConnected = true;
+        const peerConnection = this.audioPeerConnection;
+        peerConnection.oniceconnectionstatechange = () => {
+          if (peerConnection.iceConnectionState === 'connected' || peerConnection.iceConnectionState === 'completed') {
             console.log('🟢 Audio Connected');
-          } else if (this.audioPeerConnection.iceConnectionState === 'failed') {
-            console.error('ICE connection failed!');
-            this.isConnected = false;
-            console.log('🔴 AudioConnection failed');
+          } else if (peerConnection.iceConnectionState === 'failed') {
+            this.handleIceFailure('audio');
           }
+          this.syncLegStates(`Audio ICE ${peerConnection.iceConnectionState}`);
         };
 
-        this.audioPeerConnection.onconnectionstatechange = () => {
-          console.log('Connection state:', this.audioPeerConnection.connectionState);
-          if (this.audioPeerConnection.connectionState === 'connected') {
+        peerConnection.onconnectionstatechange = () => {
+          console.log('Connection state:', peerConnection.connectionState);
+          if (peerConnection.connectionState === 'connected') {
             console.log('WebRTC connection established!');
-          } else if (this.audioPeerConnection.connectionState === 'failed' || this.audioPeerConnection.connectionState === 'disconnected') {
-            this.isConnected = false;
-            console.log('🔴 Audio Connection failed');
+          } else {
+            this.handleAudioConnectionStateChange(peerConnection);
           }
         };
 
@@ -1649,20 +5241,117 @@ class TankRTC {
         resolve(true);
       };
 
-      this.audioWsConnection.onerror = (error) => {
-        console.error('WebSocket error:', error);
-        reject(error);
+      this.audioWsConnection.onerror = () => {
+        reject(new SignalingError(ERROR_CODES.SIGNALING_FAILED, 'Audio WebSocket error', { recoverable: true }));
       };
 
       this.audioWsConnection.onclose = (event) => {
         this.log('🔴 Audio Disconnected');
-        this.isConnected = false;
+        this.stopHeartbeat('audio', audioWs);
+
+        // Sockets we replaced or closed on purpose are no longer current
+        if (this.audioWsConnection === audioWs) {
+          this.audioWsConnection = null;
+          if (!this.handleAuthClose(event, 'Audio signaling') && audioWsOpened) {
+            this.scheduleReconnect('audio', 'Audio WebSocket closed');
+          }
+        }
       };
 
-      this.audioWsConnection.onmessage = this.handleAudioMessage.bind(this);;
+      this.audioWsConnection.onmessage = this.handleAudioMessage.bind(this);
     });
   }
 
+  /**
+   * Build the RTCPeerConnection configuration from config.iceServers or the provider
+   */
+  async getRtcConfiguration() {
+    return {
+      iceServers: await this.resolveIceServers(),
+      iceTransportPolicy: this.config.iceTransportPolicy
+    };
+  }
+
+  /**
+   * Get ICE servers from config.iceServersProvider, reusing the last result
+   * until it is refreshed. Falls back to config.iceServers without a provider.
+   */
+  async resolveIceServers({ forceRefresh = false } = {}) {
+    if (!this.config.iceServersProvider) {
+      return this.config.iceServers;
+    }
+    if (this.providedIceServers && !forceRefresh) {
+      return this.providedIceServers;
+    }
+
+    // Concurrent callers share one request
+    if (!this.iceServersPromise) {
+      this.iceServersPromise = (async () => {
+        try {
+          const result = await this.config.iceServersProvider({ clientId: this.clientId });
+          const { iceServers, expiresAt = null } = Array.isArray(result) ? { iceServers: result } : (result || {});
+          if (!Array.isArray(iceServers) || iceServers.length === 0) {
+            throw new ConnectionError(ERROR_CODES.ICE_SERVERS_UNAVAILABLE, 'iceServersProvider returned no ICE servers');
+          }
+          this.providedIceServers = iceServers;
+          this.scheduleIceServersRefresh(expiresAt);
+          this.log('ICE servers refreshed', { count: iceServers.length, expiresAt });
+          return iceServers;
+        } catch (error) {
+          // Keep using what we have; a stale TURN credential is better than none
+          this.handleError('Failed to get ICE servers', error, ERROR_CODES.ICE_SERVERS_UNAVAILABLE);
+          return this.providedIceServers || this.config.iceServers;
+        } finally {
+          this.iceServersPromise = null;
+        }
+      })();
+    }
+    return this.iceServersPromise;
+  }
+
+  /**
+   * Refresh provided ICE servers ahead of their expiry and hand the new
+   * credentials to the open peer connections
+   */
+  scheduleIceServersRefresh(expiresAt) {
+    clearTimeout(this.iceServersRefreshTimer);
+    this.iceServersRefreshTimer = null;
+    if (!expiresAt) {
+      return;
+    }
+
+    const now = Date.now();
+    let delay;
+    if (expiresAt <= now || expiresAt === this.iceServersExpiresAt) {
+      // The provider handed back expired or unchanged credentials, so back off
+      delay = this.iceServersRetryDelay;
+      this.iceServersRetryDelay = Math.min(this.iceServersRetryDelay * 2, ICE_SERVERS_MAX_REFRESH_DELAY);
+    } else {
+      // Refresh iceServersRefreshMargin before expiry, but no sooner than
+      // halfway through a credential that lives shorter than the margin
+      const ttl = expiresAt - now;
+      delay = Math.max(expiresAt - this.config.iceServersRefreshMargin - now, ttl / 2, ICE_SERVERS_MIN_REFRESH_DELAY);
+      this.iceServersRetryDelay = ICE_SERVERS_MIN_REFRESH_DELAY;
+    }
+    this.iceServersExpiresAt = expiresAt;
+
+    this.iceServersRefreshTimer = setTimeout(async () => {
+      this.iceServersRefreshTimer = null;
+      await this.resolveIceServers({ forceRefresh: true });
+      const configuration = await this.getRtcConfiguration();
+      new Set([this.audioPeerConnection, this.videoPeerConnection]).forEach(peerConnection => {
+        if (!peerConnection || peerConnection.signalingState === 'closed') {
+          return;
+        }
+        try {
+          peerConnection.setConfiguration({ ...peerConnection.getConfiguration(), ...configuration });
+        } catch (error) {
+          this.handleError('Failed to apply refreshed ICE servers', error, ERROR_CODES.ICE_SERVERS_UNAVAILABLE, { recoverable: true });
+        }
+      });
+    }, delay);
+  }
+
   // Reset peer connection when changing modes
   async resetPeerConnection() {
     if (this.audioPeerConnection) {
@@ -1678,35 +5367,35 @@ class TankRTC {
       return this.audioPeerConnection;
     }
 
+    const rtcConfiguration = await this.getRtcConfiguration();
     this.audioPeerConnection = new RTCPeerConnection({
-      iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+      ...rtcConfiguration,
       iceCandidatePoolSize: 10
     });
 
     // Safari-specific: Pre-configure audio transceiver to prevent duplicates
     if (this.isSafari && this.isListeningAudio) {
-      this.audioPeerConnection.addTransceiver('audio', { direction: 'recvonly' });
+      this.audioTransceiver = this.audioPeerConnection.addTransceiver('audio', { direction: 'recvonly' });
       console.log('Safari: Pre-configured audio transceiver for receiving');
     }
 
     // Monitor connection states
-    this.audioPeerConnection.oniceconnectionstatechange = () => {
-      if (this.audioPeerConnection.iceConnectionState === 'connected' || this.audioPeerConnection.iceConnectionState === 'completed') {
-        this.isConnected = true;
+    const peerConnection = this.audioPeerConnection;
+    peerConnection.oniceconnectionstatechange = () => {
+      this.syncLegStates(`Audio ICE ${peerConnection.iceConnectionState}`);
+      if (peerConnection.iceConnectionState === 'connected' || peerConnection.iceConnectionState === 'completed') {
         console.log('🟢 Audio Connected');
-      } else if (this.audioPeerConnection.iceConnectionState === 'failed') {
-        this.isConnected = false;
-        console.error('🔴 Audio ICE connection failed');
+      } else if (peerConnection.iceConnectionState === 'failed') {
+        this.handleIceFailure('audio');
       }
     };
 
-    this.audioPeerConnection.onconnectionstatechange = () => {
-      console.log('Connection state:', this.audioPeerConnection.connectionState);
-      if (this.audioPeerConnection.connectionState === 'connected') {
+    peerConnection.onconnectionstatechange = () => {
+      console.log('Connection state:', peerConnection.connectionState);
+      if (peerConnection.connectionState === 'connected') {
         console.log('WebRTC connection established!');
-      } else if (this.audioPeerConnection.connectionState === 'failed' || this.audioPeerConnection.connectionState === 'disconnected') {
-        this.isConnected = false;
-        console.error('🔴 Audio connection failed');
+      } else {
+        this.handleAudioConnectionStateChange(peerConnection);
       }
     };
 
@@ -1733,6 +5422,19 @@ class TankRTC {
   }
 }
 
+// Event names accepted by on()/once()/off()
+TankRTC.EVENTS = Object.freeze([...EVENTS]);
+
+// Error classes and codes, for instanceof checks and comparing error.code
+TankRTC.ERROR_CODES = Object.freeze({ ...ERROR_CODES });
+TankRTC.TankRTCError = TankRTCError;
+TankRTC.ValidationError = ValidationError;
+TankRTC.DeviceError = DeviceError;
+TankRTC.SignalingError = SignalingError;
+TankRTC.ConnectionError = ConnectionError;
+TankRTC.AuthError = AuthError;
+TankRTC.ServerError = ServerError;
+
 // Export for ES6 modules
 export default TankRTC;
 
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('getAttenuationGain follows the configured model', async () => {
+  const tank = createClient();
+
+  await tank.setAttenuation({ model: 'linear', refDistance: 1, rolloffFactor: 1, maxHearingRange: 11 });
+  assert.equal(tank.getAttenuationGain(0.5), 1);
+  assert.equal(tank.getAttenuationGain(6), 0.5);
+  assert.equal(tank.getAttenuationGain(11), 0);
+
+  await tank.setAttenuation({ model: 'inverse' });
+  assert.equal(tank.getAttenuationGain(1), 1);
+  assert.equal(tank.getAttenuationGain(5), 0.2);
+
+  await tank.setAttenuation({ model: 'exponential' });
+  assert.equal(tank.getAttenuationGain(4), 0.25);
+
+  assert.equal(tank.getAttenuationGain(12), 0);
+});
+
+test('setAttenuation rejects invalid curves and keeps the current one', async () => {
+  const tank = createClient();
+  const before = tank.getAttenuation();
+
+  await assert.rejects(tank.setAttenuation({ model: 'cubic' }), { name: 'ValidationError' });
+  await assert.rejects(tank.setAttenuation({ rolloffFactor: -1 }), { name: 'ValidationError' });
+  await assert.rejects(tank.setAttenuation({ refDistance: 50, maxHearingRange: 10 }), { name: 'ValidationError' });
+  assert.deepEqual(tank.getAttenuation(), before);
+});
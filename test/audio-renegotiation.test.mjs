@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+import { createClient } from './client.mjs';
+
+/**
+ * An audio connection whose sender fails once the connection is closed,
+ * like a real RTCPeerConnection after close()
+ */
+function createSendingClient() {
+  const tank = createClient();
+  const track = { kind: 'audio', stop: () => {} };
+  const peerConnection = { signalingState: 'stable', getTransceivers: () => [transceiver] };
+  let direction = 'sendrecv';
+  const transceiver = {
+    sender: {
+      track,
+      replaceTrack: async () => {
+        await tick();
+        if (peerConnection.signalingState === 'closed') {
+          throw new Error('InvalidStateError');
+        }
+      }
+    },
+    get direction() {
+      return direction;
+    },
+    set direction(value) {
+      if (peerConnection.signalingState === 'closed') {
+        throw new Error('InvalidStateError');
+      }
+      direction = value;
+    }
+  };
+
+  tank.audioPeerConnection = peerConnection;
+  tank.audioTransceiver = transceiver;
+  tank.localStream = { getTracks: () => [track], getAudioTracks: () => [track] };
+  tank.isSendingAudio = true;
+  tank.isListeningAudio = true;
+  return { tank, peerConnection, transceiver };
+}
+
+test('closing the connection while stopping audio does not report a renegotiation failure', async () => {
+  const { tank, peerConnection } = createSendingClient();
+  const errors = [];
+  tank.on('onError', (message) => errors.push(message));
+
+  // What disconnect() and reconnects do: stop, then close in the same tick
+  tank.stopSendingAudio();
+  tank.stopListeningAudio();
+  peerConnection.signalingState = 'closed';
+  tank.audioPeerConnection = null;
+  await tick();
+  await tick();
+
+  assert.deepEqual(errors, []);
+});
+
+test('renegotiation failures on a live connection are still reported', async (t) => {
+  const { tank, transceiver } = createSendingClient();
+  t.mock.method(console, 'error', () => {});
+  transceiver.sender.replaceTrack = async () => {
+    throw new Error('replaceTrack failed');
+  };
+  const errors = [];
+  tank.on('onError', (message) => errors.push(message));
+
+  tank.stopSendingAudio();
+  await tick();
+
+  assert.deepEqual(errors, ['Audio renegotiation failed']);
+});
+
+test('stopping audio points the transceiver at the remaining direction', async () => {
+  const { tank, transceiver } = createSendingClient();
+
+  tank.stopSendingAudio();
+  await tick();
+  await tick();
+
+  assert.equal(transceiver.direction, 'recvonly');
+});
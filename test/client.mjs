@@ -0,0 +1,12 @@
+import TankRTC from '../src/index.js';
+
+// The SDK only touches navigator when constructed
+globalThis.navigator ??= { userAgent: 'node' };
+
+/**
+ * A client for tests that don't need a server. Debug logging is off so test
+ * output stays readable.
+ */
+export function createClient(clientId = 'client-1', config = {}) {
+  return new TankRTC(clientId, { debug: false, ...config });
+}
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('clock sync uses the sample with the shortest round trip', (t) => {
+  const tank = createClient();
+  const now = t.mock.method(Date, 'now');
+
+  // 40 ms round trip, server 100 ms ahead
+  now.mock.mockImplementation(() => 1040);
+  tank.handleTimeSync({ t0: 1000, t1: 1120, t2: 1120 });
+  assert.equal(tank.clockOffset, 100);
+
+  // 10 ms round trip, server 50 ms ahead: better sample wins
+  now.mock.mockImplementation(() => 2010);
+  tank.handleTimeSync({ t0: 2000, t1: 2055, t2: 2055 });
+  assert.equal(tank.clockOffset, 50);
+
+  // 200 ms round trip with a skewed offset is ignored
+  now.mock.mockImplementation(() => 3200);
+  tank.handleTimeSync({ t0: 3000, t1: 3400, t2: 3400 });
+  assert.equal(tank.clockOffset, 50);
+  assert.equal(tank.getServerTime(), 3250);
+
+  // Malformed replies are dropped
+  tank.handleTimeSync({ t0: 4000, t1: 'soon' });
+  assert.equal(tank.clockSyncHistory.length, 3);
+});
+
+test('clock sync keeps a bounded sample history', (t) => {
+  const tank = createClient('client-1', { clockSyncSamples: 2 });
+  t.mock.method(Date, 'now', () => 1010);
+
+  for (let i = 0; i < 10; i++) {
+    tank.handleTimeSync({ t0: 1000, t1: 1005 + i, t2: 1005 + i });
+  }
+  assert.equal(tank.clockSyncHistory.length, 6);
+  assert.equal(tank.config.clockSyncSamples, 2);
+});
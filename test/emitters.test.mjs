@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+/**
+ * Just enough of RTCPeerConnection to record transceivers
+ */
+function createPeerConnection() {
+  const transceivers = [];
+  return {
+    transceivers,
+    getTransceivers: () => [...transceivers],
+    addTransceiver(trackOrKind, init) {
+      const transceiver = { sender: { track: typeof trackOrKind === 'string' ? null : trackOrKind }, ...init };
+      transceivers.push(transceiver);
+      return transceiver;
+    },
+    addTrack() {
+      assert.fail('addTrack() can reuse the microphone transceiver');
+    }
+  };
+}
+
+const addEmitter = (tank, id) => {
+  const emitter = { id, clientId: `${tank.clientId}:${id}`, track: { id: `${id}-track` }, stream: { id: `${id}-stream` } };
+  tank.emitters.set(id, emitter);
+  return emitter;
+};
+
+test('emitters get their own send-only transceivers, separate from the microphone', () => {
+  const tank = createClient();
+  const peerConnection = createPeerConnection();
+  tank.audioPeerConnection = peerConnection;
+  tank.audioTransceiver = peerConnection.addTransceiver('audio', { direction: 'recvonly' });
+
+  const npc = addEmitter(tank, 'npc');
+  tank.addEmitterTracks();
+
+  assert.equal(peerConnection.transceivers.length, 2);
+  assert.notEqual(npc.transceiver, tank.audioTransceiver);
+  assert.equal(npc.transceiver.direction, 'sendonly');
+  assert.equal(npc.transceiver.sender.track, npc.track);
+  assert.deepEqual(npc.transceiver.streams, [npc.stream]);
+  assert.equal(tank.audioTransceiver.sender.track, null);
+});
+
+test('addEmitterTracks only adds emitters missing from the peer connection', () => {
+  const tank = createClient();
+  tank.audioPeerConnection = createPeerConnection();
+  const npc = addEmitter(tank, 'npc');
+
+  tank.addEmitterTracks();
+  const first = npc.transceiver;
+  addEmitter(tank, 'beacon');
+  tank.addEmitterTracks();
+  assert.equal(npc.transceiver, first);
+  assert.equal(tank.audioPeerConnection.transceivers.length, 2);
+
+  // A rebuilt peer connection gets fresh transceivers for every emitter
+  tank.audioPeerConnection = createPeerConnection();
+  tank.addEmitterTracks();
+  assert.notEqual(npc.transceiver, first);
+  assert.equal(tank.audioPeerConnection.transceivers.length, 2);
+});
+
+test('emitter audio that fails to load or decode rejects with a DeviceError', async (t) => {
+  // createEmitter checks sources against MediaStream, which Node doesn't have
+  globalThis.MediaStream = class {};
+  t.after(() => delete globalThis.MediaStream);
+  const tank = createClient();
+
+  t.mock.method(globalThis, 'fetch', async () => {
+    throw new TypeError('Failed to fetch');
+  });
+  await assert.rejects(tank.createEmitter({ id: 'npc', source: 'https://example.com/npc.ogg' }), (error) => {
+    assert.equal(error.name, 'DeviceError');
+    assert.equal(error.code, 'MEDIA_FAILED');
+    assert.ok(error.cause instanceof TypeError);
+    return true;
+  });
+
+  globalThis.fetch.mock.mockImplementation(async () => new Response('not audio'));
+  tank.getEmitterAudioContext = () => ({
+    decodeAudioData: async () => {
+      throw new DOMException('Unable to decode audio data', 'EncodingError');
+    }
+  });
+  await assert.rejects(tank.createEmitter({ id: 'npc', source: 'https://example.com/npc.ogg' }), (error) => {
+    assert.equal(error.name, 'DeviceError');
+    assert.equal(error.cause.name, 'EncodingError');
+    return true;
+  });
+  assert.deepEqual(tank.getEmitters(), []);
+});
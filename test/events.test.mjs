@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('on adds listeners that all receive the event', () => {
+  const tank = createClient();
+  const calls = [];
+
+  tank.on('onZoneJoin', (zoneId) => calls.push(['a', zoneId]))
+    .on('onZoneJoin', (zoneId) => calls.push(['b', zoneId]));
+  tank.emit('onZoneJoin', 'stage');
+
+  assert.deepEqual(calls, [['a', 'stage'], ['b', 'stage']]);
+});
+
+test('once listeners fire a single time and can be removed by the original callback', () => {
+  const tank = createClient();
+  let count = 0;
+  const listener = () => count++;
+
+  tank.once('onLatency', listener);
+  tank.emit('onLatency', 'audio', 10);
+  tank.emit('onLatency', 'audio', 20);
+  assert.equal(count, 1);
+
+  tank.once('onLatency', listener);
+  tank.off('onLatency', listener);
+  tank.emit('onLatency', 'audio', 30);
+  assert.equal(count, 1);
+});
+
+test('off removes one listener, or all of them without a callback', () => {
+  const tank = createClient();
+  const calls = [];
+  const a = () => calls.push('a');
+  const b = () => calls.push('b');
+
+  tank.on('onConnect', a).on('onConnect', b);
+  tank.off('onConnect', a);
+  tank.emit('onConnect');
+  assert.deepEqual(calls, ['b']);
+
+  tank.on('onConnect', a);
+  tank.off('onConnect');
+  tank.emit('onConnect');
+  assert.deepEqual(calls, ['b']);
+
+  // on(event, null) is the same as off(event)
+  tank.on('onConnect', a).on('onConnect', null);
+  tank.emit('onConnect');
+  assert.deepEqual(calls, ['b']);
+});
+
+test("'*' listeners receive every event after its own listeners", () => {
+  const tank = createClient();
+  const calls = [];
+
+  tank.on('*', (event, ...args) => calls.push(['*', event, ...args]));
+  tank.on('onZoneLeave', (zoneId, clientId) => calls.push(['own', zoneId, clientId]));
+  tank.emit('onZoneLeave', 'stage', 'bob');
+
+  assert.deepEqual(calls, [['own', 'stage', 'bob'], ['*', 'onZoneLeave', 'stage', 'bob']]);
+});
+
+test('a throwing listener does not stop the others', (t) => {
+  const tank = createClient();
+  const errors = t.mock.method(console, 'error', () => {});
+  let called = false;
+
+  tank.on('onConnect', () => {
+    throw new Error('boom');
+  }).on('onConnect', () => {
+    called = true;
+  });
+  tank.emit('onConnect');
+
+  assert.ok(called);
+  assert.equal(errors.mock.callCount(), 1);
+});
+
+test('unknown events and non-function listeners are rejected', (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+  const debug = createClient('client-1', { debug: true });
+
+  assert.throws(() => debug.on('onNope', () => {}), { name: 'ValidationError' });
+  assert.throws(() => debug.on('onConnect', 'nope'), { name: 'ValidationError' });
+
+  // Outside debug mode unknown events are logged and ignored
+  const tank = createClient();
+  assert.equal(tank.on('onNope', () => {}), tank);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('setLegState only allows valid transitions', (t) => {
+  const tank = createClient();
+  const changes = [];
+  tank.on('onConnectionStateChange', (leg, from, to) => changes.push([leg, from, to]));
+  t.mock.method(console, 'error', () => {});
+
+  assert.equal(tank.setLegState('audio-send', 'connecting', 'test'), true);
+  assert.equal(tank.setLegState('audio-send', 'connected', 'test'), true);
+  // Same state is a no-op
+  assert.equal(tank.setLegState('audio-send', 'connected', 'test'), true);
+  // connected -> connecting skips reconnecting
+  assert.equal(tank.setLegState('audio-send', 'connecting', 'test'), false);
+  assert.equal(tank.legStates['audio-send'], 'connected');
+
+  assert.deepEqual(changes, [
+    ['audio-send', 'idle', 'connecting'],
+    ['audio-send', 'connecting', 'connected']
+  ]);
+});
+
+test('legs start idle and change independently', () => {
+  const tank = createClient();
+
+  assert.deepEqual(tank.getConnectionState().legs, {
+    'audio-send': 'idle',
+    'audio-receive': 'idle',
+    'video-send': 'idle',
+    'video-receive': 'idle'
+  });
+  tank.setLegState('video-receive', 'connecting', 'test');
+  assert.equal(tank.getConnectionState().legs['video-receive'], 'connecting');
+  assert.equal(tank.getConnectionState().legs['audio-send'], 'idle');
+});
@@ -0,0 +1,40 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createClient } from './client.mjs';
+import { startStandInServer } from './stand-in-server.mjs';
+
+globalThis.WebSocket ??= WebSocket;
+
+let server;
+
+before(async () => {
+  server = await startStandInServer();
+  // What browsers do with a turn: URL that has no credentials
+  globalThis.RTCPeerConnection = class {
+    constructor({ iceServers }) {
+      if (iceServers.some(server => String(server.urls).startsWith('turn:') && !server.credential)) {
+        throw new Error('InvalidAccessError: TURN servers need a username and credential');
+      }
+    }
+  };
+});
+
+after(async () => {
+  delete globalThis.RTCPeerConnection;
+  await server.close();
+});
+
+const iceServers = [{ urls: 'turn:turn.example.com:3478' }];
+
+for (const signalingMode of ['separate', 'unified']) {
+  test(`a peer connection that can't be created rejects instead of hanging (${signalingMode})`, async () => {
+    const tank = createClient('client-1', { serverUrl: server.url, iceServers, signalingMode });
+    const start = signalingMode === 'unified' ? tank.initializeUnifiedConnection() : tank.initializeAudioConnection();
+
+    await assert.rejects(start, { name: 'TankRTCError', code: 'CONNECTION_FAILED' });
+    assert.equal(tank.audioWsConnection, null);
+    assert.equal(tank.audioPeerConnection, null);
+    tank.disconnect();
+  });
+}
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createClient } from './client.mjs';
+
+// sendRealtimePositionUpdate checks readyState against WebSocket.OPEN
+globalThis.WebSocket ??= WebSocket;
+
+const pose = { x: 1.5, y: -2, z: 3.25, yaw: 90, pitch: -10 };
+
+test('position packets round trip through encode and decode', () => {
+  const tank = createClient();
+  const packet = tank.encodePositionPacket(pose, 'client-1:npc');
+
+  assert.ok(tank.isPositionPacket(packet));
+  const decoded = tank.decodePositionPacket(packet);
+  assert.equal(decoded.clientId, 'client-1:npc');
+  assert.equal(decoded.sequence, 0);
+  assert.equal(typeof decoded.timestamp, 'bigint');
+  assert.deepEqual(decoded.position, pose);
+
+  assert.equal(tank.decodePositionPacket(tank.encodePositionPacket(pose)).sequence, 1);
+});
+
+test('video frames are not mistaken for position packets', () => {
+  const tank = createClient();
+  const frame = new ArrayBuffer(64);
+  new DataView(frame).setUint32(0, 8, false);
+
+  assert.equal(tank.isPositionPacket(frame), false);
+  assert.equal(tank.decodePositionPacket(frame), null);
+  assert.equal(tank.isPositionPacket(new ArrayBuffer(2)), false);
+});
+
+test('truncated position packets are rejected', () => {
+  const tank = createClient();
+  const packet = tank.encodePositionPacket({ x: 1, y: 2, z: 3, yaw: 0, pitch: 0 });
+
+  assert.equal(tank.decodePositionPacket(packet.slice(0, packet.byteLength - 24)), null);
+  // Position-only packets without orientation still decode
+  assert.deepEqual(tank.decodePositionPacket(packet.slice(0, packet.byteLength - 8)).position, { x: 1, y: 2, z: 3, yaw: 0, pitch: 0 });
+});
+
+test('positions go out as binary packets on the audio WebSocket', () => {
+  const alice = createClient('alice');
+  const sent = [];
+  alice.audioWsConnection = { readyState: WebSocket.OPEN, send: (data) => sent.push(data) };
+
+  assert.equal(alice.sendRealtimePositionUpdate(pose), true);
+  assert.equal(sent.length, 1);
+  assert.ok(sent[0] instanceof ArrayBuffer);
+  assert.deepEqual(alice.decodePositionPacket(sent[0]).position, pose);
+
+  // The receiving side accepts the same packet as a binary socket message
+  const bob = createClient('bob');
+  bob.handleAudioMessage({ data: sent[0] });
+  assert.deepEqual(bob.peers.get('alice').position, { x: 1.5, y: -2, z: 3.25 });
+});
+
+test("the 'http' transport never uses the sockets", () => {
+  const tank = createClient('client-1', { positionTransport: 'http' });
+  tank.audioWsConnection = { readyState: WebSocket.OPEN, send: () => assert.fail('sent on the socket') };
+
+  assert.equal(tank.sendRealtimePositionUpdate(pose), false);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+const position = (clientId, x, sequence, timestamp) => ({
+  type: 'position',
+  clientId,
+  sequence,
+  timestamp,
+  position: { x, y: 0, z: 0, yaw: 0, pitch: 0 }
+});
+
+test('peers enter range at maxHearingRange and leave past the hysteresis band', () => {
+  const tank = createClient('client-1', { maxHearingRange: 10, rangeHysteresis: 2 });
+  const events = [];
+  tank.on('onPeerEnterRange', (clientId, distance) => events.push(['enter', clientId, distance]));
+  tank.on('onPeerLeaveRange', (clientId, distance) => events.push(['leave', clientId, distance]));
+
+  tank.setPeerPosition('bob', { x: 11, y: 0, z: 0 });
+  tank.setPeerPosition('bob', { x: 10, y: 0, z: 0 });
+  // Hovering inside the hysteresis band doesn't flap
+  tank.setPeerPosition('bob', { x: 11.5, y: 0, z: 0 });
+  tank.setPeerPosition('bob', { x: 9.5, y: 0, z: 0 });
+  tank.setPeerPosition('bob', { x: 12, y: 0, z: 0 });
+  tank.setPeerPosition('bob', { x: 12.5, y: 0, z: 0 });
+
+  assert.deepEqual(events, [['enter', 'bob', 10], ['leave', 'bob', 12.5]]);
+  assert.deepEqual(tank.getPeersInRange(), []);
+});
+
+test('moving ourselves re-evaluates every peer, and leaving peers fire onPeerLeaveRange', () => {
+  const tank = createClient('client-1', { maxHearingRange: 10, rangeHysteresis: 2 });
+  const left = [];
+  tank.on('onPeerLeaveRange', (clientId) => left.push(clientId));
+
+  tank.setPeerRoster([{ clientId: 'bob', x: 5, y: 0, z: 0 }, { clientId: 'carol', x: -5, y: 0, z: 0 }]);
+  assert.deepEqual(tank.getPeersInRange().map(peer => peer.clientId).sort(), ['bob', 'carol']);
+
+  tank.setPosition({ x: 10 });
+  assert.deepEqual(tank.getPeersInRange().map(peer => peer.clientId), ['bob']);
+  assert.deepEqual(left, ['carol']);
+
+  tank.handlePeerMessage({ type: 'peer-leave', clientId: 'bob' });
+  assert.deepEqual(left, ['carol', 'bob']);
+  tank.cancelPositionUpdates();
+});
+
+test('position packets apply in sequence order', () => {
+  const tank = createClient();
+
+  tank.handlePeerMessage(position('bob', 1, 5, 1000));
+  tank.handlePeerMessage(position('bob', 2, 4, 1001));
+  assert.equal(tank.peers.get('bob').position.x, 1);
+
+  // Sequence numbers wrap around at 2^32
+  tank.handlePeerMessage(position('carol', 3, 0xFFFFFFFF, 1002));
+  tank.handlePeerMessage(position('carol', 4, 0, 1003));
+  tank.handlePeerMessage(position('carol', 5, 0xFFFFFFFE, 1003));
+  assert.equal(tank.peers.get('carol').position.x, 4);
+});
+
+test('a peer that restarts its sequence is followed again once its timestamp moves on', (t) => {
+  const tank = createClient();
+  const bob = createClient('bob');
+  const now = t.mock.method(Date, 'now', () => 1000);
+
+  for (let i = 0; i < 500; i++) {
+    tank.handleVideoChannelData(bob.encodePositionPacket({ x: i, y: 0, z: 0, yaw: 0, pitch: 0 }));
+  }
+  assert.equal(tank.peers.get('bob').position.x, 499);
+
+  // Bob reloads: a new client starts counting from 0 again
+  const reloaded = createClient('bob');
+  now.mock.mockImplementation(() => 5000);
+  tank.handleVideoChannelData(reloaded.encodePositionPacket({ x: -1, y: 0, z: 0, yaw: 0, pitch: 0 }));
+  tank.handleVideoChannelData(reloaded.encodePositionPacket({ x: -2, y: 0, z: 0, yaw: 0, pitch: 0 }));
+  assert.equal(tank.peers.get('bob').position.x, -2);
+});
+
+test('position messages without a sequence are always applied', () => {
+  const tank = createClient();
+
+  tank.handlePeerMessage(position('bob', 1));
+  tank.handlePeerMessage(position('bob', 2));
+  assert.equal(tank.peers.get('bob').position.x, 2);
+
+  // A later sequenced packet is ordered from there on
+  tank.handlePeerMessage(position('bob', 3, 10, 1000));
+  tank.handlePeerMessage(position('bob', 4, 9, 1000));
+  assert.equal(tank.peers.get('bob').position.x, 3);
+});
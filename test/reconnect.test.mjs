@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+const recordEvents = (tank) => {
+  const events = [];
+  tank.on('onDisconnect', () => events.push('disconnect'));
+  tank.on('onError', (message, error) => events.push(error.code));
+  return events;
+};
+
+test('giving up on a dropped control channel announces the disconnect', (t) => {
+  const tank = createClient('client-1', { reconnectMaxAttempts: 2 });
+  t.mock.method(console, 'error', () => {});
+  const events = recordEvents(tank);
+  const frames = tank.frames('bob').next();
+
+  tank.isConnected = true;
+  tank.scheduleReconnect('control', 'Control WebSocket closed');
+  tank.isConnected = false;
+  assert.deepEqual(events, []);
+
+  // Every attempt fails; the last one gives up
+  clearTimeout(tank.reconnectTimer);
+  tank.reconnectTimer = null;
+  tank.reconnectLegs.clear();
+  tank.reconnectAttempts = 2;
+  tank.scheduleReconnect('control', 'Reconnect attempt failed');
+
+  assert.deepEqual(events, ['RECONNECT_FAILED', 'disconnect']);
+  return frames.then(({ done }) => assert.ok(done));
+});
+
+test('giving up on a media leg leaves the session connected', (t) => {
+  const tank = createClient('client-1', { reconnectMaxAttempts: 0 });
+  t.mock.method(console, 'error', () => {});
+  const events = recordEvents(tank);
+
+  tank.isConnected = true;
+  tank.isListeningAudio = true;
+  tank.scheduleReconnect('audio', 'Audio WebSocket closed');
+
+  assert.deepEqual(events, ['RECONNECT_FAILED']);
+  assert.equal(tank.isConnected, true);
+});
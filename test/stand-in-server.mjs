@@ -0,0 +1,101 @@
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+
+const SIGNALING_PATHS = ['/webrtc', '/webrtc-audio', '/webrtc-video'];
+
+/**
+ * Minimal stand-in for the Tank RTC signaling server. It only implements the
+ * zone membership, heartbeat and clock sync messages, which is enough to
+ * exercise zones locally without a media server.
+ */
+export function startStandInServer({ port = 0 } = {}) {
+  const wss = new WebSocketServer({ port });
+  // zoneId -> Set of clientIds, socket -> clientId
+  const zones = new Map();
+  const clients = new Map();
+
+  const broadcast = (message) => {
+    const payload = JSON.stringify(message);
+    wss.clients.forEach(socket => socket.send(payload));
+  };
+
+  const leave = (zoneId, clientId) => {
+    const members = zones.get(zoneId);
+    if (!members || !members.delete(clientId)) {
+      return;
+    }
+    if (members.size === 0) {
+      zones.delete(zoneId);
+    }
+    broadcast({ type: 'zone-left', clientId, zoneId });
+  };
+
+  wss.on('connection', (socket, request) => {
+    if (!SIGNALING_PATHS.includes(new URL(request.url, 'http://localhost').pathname)) {
+      socket.close(1008, 'Unknown path');
+      return;
+    }
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+
+      switch (message.type) {
+        case 'ping':
+          socket.send(JSON.stringify({ type: 'pong', sentAt: message.sentAt }));
+          break;
+        case 'time-sync': {
+          const now = Date.now();
+          socket.send(JSON.stringify({ type: 'time-sync', t0: message.t0, t1: now, t2: now }));
+          break;
+        }
+        case 'zone-join': {
+          clients.set(socket, message.clientId);
+          const members = zones.get(message.zoneId) || new Set();
+          if (!members.has(message.clientId)) {
+            members.add(message.clientId);
+            zones.set(message.zoneId, members);
+            broadcast({ type: 'zone-joined', clientId: message.clientId, zoneId: message.zoneId });
+          }
+          socket.send(JSON.stringify({ type: 'zone-members', zoneId: message.zoneId, members: [...members] }));
+          break;
+        }
+        case 'zone-leave':
+          leave(message.zoneId, message.clientId);
+          break;
+      }
+    });
+
+    socket.on('close', () => {
+      const clientId = clients.get(socket);
+      clients.delete(socket);
+      // Another socket of the same client keeps its membership
+      if (clientId && ![...clients.values()].includes(clientId)) {
+        [...zones.keys()].forEach(zoneId => leave(zoneId, clientId));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    wss.on('listening', () => {
+      resolve({
+        url: `ws://localhost:${wss.address().port}`,
+        close: () => new Promise(done => {
+          wss.clients.forEach(socket => socket.terminate());
+          wss.close(done);
+        })
+      });
+    });
+  });
+}
+
+// node test/stand-in-server.mjs [PORT=9090]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startStandInServer({ port: Number(process.env.PORT) || 9090 }).then(({ url }) => {
+    console.log(`Stand-in server listening on ${url}`);
+  });
+}
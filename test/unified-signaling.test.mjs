@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createClient } from './client.mjs';
+
+globalThis.WebSocket ??= WebSocket;
+
+/**
+ * A client whose audio and video legs share one socket, as in unified mode
+ */
+function createUnifiedClient() {
+  const tank = createClient('client-1', { signalingMode: 'unified' });
+  const sent = [];
+  const ws = { readyState: WebSocket.OPEN, send: (data) => sent.push(JSON.parse(data)) };
+  tank.audioWsConnection = ws;
+  tank.videoWsConnection = ws;
+  return { tank, sent };
+}
+
+test('zone messages are sent once on a shared socket', () => {
+  const { tank, sent } = createUnifiedClient();
+
+  tank.joinZone('stage');
+  tank.leaveZone('stage');
+
+  assert.deepEqual(sent.map(message => message.type), ['zone-join', 'zone-leave']);
+});
+
+test('server errors on the unified socket are not attributed to a media leg', (t) => {
+  const { tank } = createUnifiedClient();
+  t.mock.method(console, 'error', () => {});
+  const errors = [];
+  tank.on('onError', (message, error) => errors.push([message, error.name, error.serverCode]));
+
+  tank.handleUnifiedMessage({ data: JSON.stringify({ type: 'error', message: 'Mixer unavailable', code: 'MIXER_DOWN' }) });
+
+  assert.deepEqual(errors, [['Signaling server error', 'ServerError', 'MIXER_DOWN']]);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('senders publish only videoWidth x videoHeight unless videoTiers is set', () => {
+  assert.deepEqual(createClient().getVideoTiers(), [{ width: 64, height: 64 }]);
+  assert.deepEqual(createClient('client-1', { videoWidth: 128, videoHeight: 96 }).getVideoTiers(), [{ width: 128, height: 96 }]);
+
+  const tiered = createClient('client-1', { videoTiers: [{ width: 32, height: 32 }, { width: 256, height: 256 }] });
+  assert.deepEqual(tiered.getVideoTiers(), [{ width: 256, height: 256 }, { width: 32, height: 32 }]);
+});
+
+test('receivers pick a tier by distance only for sources that advertised tiers', () => {
+  const tank = createClient('client-1', { videoLodDistances: [10, 30] });
+  const tiers = [{ width: 256, height: 256 }, { width: 64, height: 64 }, { width: 32, height: 32 }];
+  tank.videoSourceTiers.set('near', tiers);
+  tank.videoSourceTiers.set('far', tiers);
+  tank.setPeerPosition('near', { x: 5, y: 0, z: 0 });
+  tank.setPeerPosition('far', { x: 40, y: 0, z: 0 });
+  tank.setPeerPosition('legacy', { x: 5, y: 0, z: 0 });
+
+  assert.deepEqual(tank.selectVideoTier('near'), { width: 256, height: 256 });
+  assert.deepEqual(tank.selectVideoTier('far'), { width: 32, height: 32 });
+  assert.equal(tank.selectVideoTier('legacy'), null);
+
+  assert.ok(tank.isAdvertisedVideoSize('near', { width: 64, height: 64 }));
+  assert.equal(tank.isAdvertisedVideoSize('near', { width: 100, height: 100 }), false);
+  assert.ok(tank.isAdvertisedVideoSize('legacy', { width: 100, height: 100 }));
+});
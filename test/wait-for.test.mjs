@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './client.mjs';
+
+test('waitFor resolves with the arguments of the first event passing the filter', async () => {
+  const tank = createClient();
+  const joined = tank.waitFor('onZoneJoin', { filter: (zoneId) => zoneId === 'stage' });
+
+  tank.emit('onZoneJoin', 'lobby', 'bob');
+  tank.emit('onZoneJoin', 'stage', 'alice');
+
+  assert.deepEqual(await joined, ['stage', 'alice']);
+  assert.equal(tank.listeners.onZoneJoin.size, 0);
+});
+
+test('waitFor rejects on timeout and removes its listener', async () => {
+  const tank = createClient();
+
+  await assert.rejects(tank.waitFor('onConnect', { timeout: 10 }), { name: 'TankRTCError', code: 'TIMEOUT' });
+  assert.equal(tank.listeners.onConnect.size, 0);
+});
+
+test('waitFor rejects when the signal aborts, including before it starts', async () => {
+  const tank = createClient();
+  const controller = new AbortController();
+  const waiting = tank.waitFor('onConnect', { signal: controller.signal });
+
+  controller.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(tank.listeners.onConnect.size, 0);
+
+  await assert.rejects(tank.waitFor('onConnect', { signal: AbortSignal.abort(new Error('gone')) }), { message: 'gone' });
+});
+
+test('waitFor rejects when the filter throws', async () => {
+  const tank = createClient();
+  const waiting = tank.waitFor('onConnect', {
+    filter: () => {
+      throw new Error('bad filter');
+    }
+  });
+
+  tank.emit('onConnect');
+  await assert.rejects(waiting, { message: 'bad filter' });
+});
+
+test('frames yields the latest frame and ends when the source is removed', async () => {
+  const tank = createClient();
+  tank.receivedVideos.set('bob', { url: 'blob:1', width: 64, height: 48, frameNumber: 1 });
+  const iterator = tank.frames('bob');
+
+  assert.deepEqual((await iterator.next()).value, { clientId: 'bob', url: 'blob:1', width: 64, height: 48, frameNumber: 1 });
+
+  // A slow consumer skips straight to the newest frame
+  tank.receivedVideos.set('bob', { url: 'blob:3', width: 64, height: 48, frameNumber: 3 });
+  tank.emit('onVideoFrameUpdate', 'bob', 'blob:2');
+  tank.emit('onVideoFrameUpdate', 'alice', 'blob:x');
+  tank.emit('onVideoFrameUpdate', 'bob', 'blob:3');
+  assert.equal((await iterator.next()).value.url, 'blob:3');
+
+  const next = iterator.next();
+  tank.emit('onVideoSourceRemove', 'bob');
+  assert.deepEqual(await next, { value: undefined, done: true });
+  assert.equal(tank.listeners.onVideoFrameUpdate.size, 0);
+});
+
+test('frames ends on disconnect and throws when the signal aborts', async () => {
+  const tank = createClient();
+
+  const ended = tank.frames('bob').next();
+  tank.emit('onDisconnect');
+  assert.equal((await ended).done, true);
+
+  const controller = new AbortController();
+  const aborted = tank.frames('bob', { signal: controller.signal }).next();
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+  assert.equal(tank.listeners.onVideoSourceRemove.size, 0);
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+import { createClient } from './client.mjs';
+import { startStandInServer } from './stand-in-server.mjs';
+
+// The SDK only touches WebSocket for readyState checks once a socket is handed to it
+globalThis.WebSocket ??= WebSocket;
+
+let server;
+
+before(async () => {
+  server = await startStandInServer();
+});
+
+after(() => server.close());
+
+/**
+ * A client whose audio signaling socket is connected to the stand-in server.
+ * Peer connections don't exist in Node, so only the socket is wired up.
+ */
+async function createZoneClient(clientId) {
+  const tank = createClient(clientId, { serverUrl: server.url });
+  const ws = new WebSocket(`${server.url}/webrtc-audio`);
+  ws.onmessage = (event) => tank.handleAudioMessage(event);
+  await once(ws, 'open');
+  tank.audioWsConnection = ws;
+  return tank;
+}
+
+/**
+ * Resolve once the client's membership of a zone matches the expected members
+ */
+function waitForMembers(tank, zoneId, expected) {
+  const matches = () => JSON.stringify(tank.getZoneMembers(zoneId).sort()) === JSON.stringify([...expected].sort());
+  return new Promise((resolve) => {
+    if (matches()) {
+      resolve();
+      return;
+    }
+    const check = () => {
+      if (matches()) {
+        tank.off('onZoneJoin', check);
+        tank.off('onZoneLeave', check);
+        resolve();
+      }
+    };
+    tank.on('onZoneJoin', check);
+    tank.on('onZoneLeave', check);
+  });
+}
+
+test('zone membership is shared through the stand-in server', async () => {
+  const alice = await createZoneClient('alice');
+  const bob = await createZoneClient('bob');
+
+  alice.joinZone('stage');
+  await waitForMembers(alice, 'stage', ['alice']);
+
+  // Bob learns existing members from zone-members, Alice from zone-joined
+  bob.joinZone('stage');
+  await Promise.all([
+    waitForMembers(bob, 'stage', ['alice', 'bob']),
+    waitForMembers(alice, 'stage', ['alice', 'bob'])
+  ]);
+  assert.ok(alice.isVideoSourceVisible('bob'));
+
+  bob.leaveZone('stage');
+  await waitForMembers(alice, 'stage', ['alice']);
+  assert.deepEqual(bob.getZones(), []);
+  assert.equal(alice.isVideoSourceVisible('bob'), false);
+
+  // Closing the socket drops membership on the server
+  bob.joinZone('stage');
+  await waitForMembers(alice, 'stage', ['alice', 'bob']);
+  bob.audioWsConnection.close();
+  await waitForMembers(alice, 'stage', ['alice']);
+
+  alice.audioWsConnection.close();
+});